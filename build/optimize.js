@@ -1,4 +1,6 @@
 import fs from 'fs/promises';
+import { watch } from 'fs';
+import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import sharp from 'sharp';
@@ -13,60 +15,226 @@ import cssnano from 'cssnano';
 import autoprefixer from 'autoprefixer';
 import { glob } from 'glob';
 import { createHash } from 'crypto';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import os from 'os';
+import { AsyncLocalStorage } from 'async_hooks';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
 const CONFIG = Object.freeze({
   BUILD_DIR: path.join(__dirname, '..', 'dist'),
   SOURCE_DIR: path.join(__dirname, '..'),
   IMAGE_QUALITY: {
+    avif: 50,
     webp: 80,
     jpeg: 85,
     png: 90,
   },
   IMAGE_SIZES: [320, 640, 1024, 1920],
   MAX_IMAGE_WIDTH: 1920,
-  CACHE_DURATION: 31536000,
+  IMAGE_MANIFEST: 'image-manifest.json',
+  ASSET_MANIFEST: 'asset-manifest.json',
+  BUDGET_REPORT: 'budget-report.json',
+  // Images that keep loading eagerly unless marked loading="lazy"; later ones
+  // (and any marked loading="lazy") use js/lazy-loading.js data-src/data-srcset
+  ABOVE_THE_FOLD_IMAGES: 1,
+  DEFAULT_IMAGE_SIZES: '100vw',
+  AVIF_EFFORT: 4, // 0 (fastest) to 9 (smallest)
+  CACHE_DURATION: 31536000, // Seconds; safe because CSS, JS and images are fingerprinted
   GZIP_LEVEL: 9,
+  BROTLI_QUALITY: 11,
+  CACHE_DIR: path.join(__dirname, '..', '.cache', 'optimize'),
+  CACHE_VERSION: 1, // Bump when optimizer output changes for the same settings
+  WATCH_DIRS: ['images', 'styles', 'js'],
+  WATCH_DEBOUNCE: 100,
+  DEV_SERVER_HOST: '127.0.0.1',
+  DEV_SERVER_PORT: 8080,
+  LIVE_RELOAD_PATH: '/__livereload',
+  LIVE_RELOAD_HEARTBEAT: 30000,
+});
+
+const KB = 1024;
+
+// Performance budgets per built page, in transfer bytes (text assets with
+// the encoding below; images as stored). A page's images are sized for each
+// viewport from their srcset and sizes in the fallback format, the worst
+// case on browsers without AVIF/WebP; per-type and page weight totals use
+// the viewport that loads the most image bytes.
+const BUDGETS = Object.freeze({
+  encoding: 'gzip', // "gzip", "brotli" or "raw"
+  types: {
+    html: 30 * KB,
+    css: 20 * KB,
+    js: 50 * KB,
+    image: 300 * KB,
+  },
+  pageWeight: 400 * KB,
+  // HTML, render-blocking stylesheets, synchronous <head> scripts and preloads
+  criticalPath: 30 * KB,
+  viewports: [
+    { width: 360, dpr: 2, maxImageBytes: 150 * KB },
+    { width: 768, dpr: 2, maxImageBytes: 250 * KB },
+    { width: 1440, dpr: 1, maxImageBytes: 300 * KB },
+  ],
+});
+
+// Above-the-fold CSS inlined into these pages. Without a renderer the fold
+// is found with a rough text-flow estimate per viewport (characters per line
+// from the font size, one spacing step per block), so foldMargin also counts
+// some content past the estimated fold.
+const CRITICAL_CSS = Object.freeze({
+  pages: ['index.html'],
+  viewports: [
+    { width: 360, height: 640 },
+    { width: 768, height: 1024 },
+    { width: 1440, height: 900 },
+  ],
+  foldMargin: 1.25,
+  layout: {
+    maxContentWidth: 1200,
+    gutter: 32,
+    fontSize: 16,
+    headingSizes: { h1: 40, h2: 32, h3: 24, h4: 20, h5: 18, h6: 16 },
+    lineHeight: 1.5,
+    charWidth: 0.5, // em
+    blockSpacing: 16,
+    controlHeight: 44,
+    imageHeight: 150, // when the markup gives no size
+  },
+});
+
+const PNGQUANT_OPTIONS = Object.freeze({
+  quality: [0.8, 0.9],
+  speed: 1,
+});
+
+const SVGO_PLUGINS = Object.freeze([
+  { name: 'removeViewBox', active: false },
+  { name: 'cleanupIDs', active: true },
+  { name: 'removeUnusedNS', active: true },
+]);
+
+const AUTOPREFIXER_OPTIONS = Object.freeze({
+  overrideBrowserslist: ['> 1%', 'last 2 versions', 'not dead'],
+});
+
+const CSSNANO_OPTIONS = Object.freeze({
+  preset: [
+    'default',
+    {
+      discardComments: { removeAll: true },
+      normalizeWhitespace: true,
+      minifyFontValues: true,
+      minifySelectors: true,
+    },
+  ],
+});
+
+const TERSER_OPTIONS = Object.freeze({
+  compress: {
+    dead_code: true,
+    drop_console: false,
+    drop_debugger: true,
+    keep_classnames: false,
+    keep_fnames: false,
+    passes: 2,
+  },
+  mangle: {
+    toplevel: true,
+    safari10: true,
+  },
+  format: {
+    comments: false,
+    ecma: 2020,
+  },
 });
 
 const SUPPORTED_IMAGE_FORMATS = Object.freeze(
   new Set(['.jpg', '.jpeg', '.png', '.svg', '.webp'])
 );
 
+// Text outputs that get precompressed .gz and .br siblings
+const COMPRESSIBLE_EXTENSIONS = Object.freeze(
+  new Set(['.html', '.css', '.js', '.svg', '.json', '.xml'])
+);
+
+// Encoders for raster output formats, keyed by format name
+const RASTER_ENCODERS = Object.freeze({
+  avif: {
+    extension: '.avif',
+    encode: (pipeline) =>
+      pipeline.avif({ quality: CONFIG.IMAGE_QUALITY.avif, effort: CONFIG.AVIF_EFFORT }),
+  },
+  webp: {
+    extension: '.webp',
+    encode: (pipeline) => pipeline.webp({ quality: CONFIG.IMAGE_QUALITY.webp }),
+  },
+  jpeg: {
+    extension: '.jpg',
+    encode: (pipeline) =>
+      pipeline.jpeg({ quality: CONFIG.IMAGE_QUALITY.jpeg, progressive: true }),
+    plugins: () => [imageminMozjpeg({ quality: CONFIG.IMAGE_QUALITY.jpeg })],
+  },
+  png: {
+    extension: '.png',
+    encode: (pipeline) => pipeline.png({ compressionLevel: 9 }),
+    plugins: () => [imageminPngquant({ ...PNGQUANT_OPTIONS })],
+  },
+});
+
+// Formats written for each raster source; the last one is the fallback
+const RASTER_OUTPUT_FORMATS = Object.freeze({
+  '.jpg': ['avif', 'webp', 'jpeg'],
+  '.jpeg': ['avif', 'webp', 'jpeg'],
+  '.png': ['avif', 'webp', 'png'],
+  '.webp': ['avif', 'webp'],
+});
+
+// Log lines of the pool task currently running, written once earlier tasks finish
+const logBuffer = new AsyncLocalStorage();
+
+function writeLog(write, entry) {
+  const line = JSON.stringify(entry);
+  const buffer = logBuffer.getStore();
+
+  if (buffer) {
+    buffer.push(() => write(line));
+  } else {
+    write(line);
+  }
+}
+
 const logger = {
   info: (msg, meta = {}) => {
-    console.log(
-      JSON.stringify({
-        timestamp: new Date().toISOString(),
-        level: 'INFO',
-        message: msg,
-        ...meta,
-      })
-    );
+    writeLog(console.log, {
+      timestamp: new Date().toISOString(),
+      level: 'INFO',
+      message: msg,
+      ...meta,
+    });
   },
   error: (msg, error = null, meta = {}) => {
-    console.error(
-      JSON.stringify({
-        timestamp: new Date().toISOString(),
-        level: 'ERROR',
-        message: msg,
-        error: error?.message,
-        stack: error?.stack,
-        ...meta,
-      })
-    );
+    writeLog(console.error, {
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      message: msg,
+      error: error?.message,
+      stack: error?.stack,
+      ...meta,
+    });
   },
   warn: (msg, meta = {}) => {
-    console.warn(
-      JSON.stringify({
-        timestamp: new Date().toISOString(),
-        level: 'WARN',
-        message: msg,
-        ...meta,
-      })
-    );
+    writeLog(console.warn, {
+      timestamp: new Date().toISOString(),
+      level: 'WARN',
+      message: msg,
+      ...meta,
+    });
   },
 };
 
@@ -92,6 +260,37 @@ function calculateHash(content) {
   return createHash('sha256').update(content).digest('hex').substring(0, 8);
 }
 
+function toUrlPath(filePath) {
+  return path.relative(CONFIG.BUILD_DIR, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Widths to generate for a source image: every IMAGE_SIZES entry below the
+ * (capped) source width, plus that width itself, never upscaling
+ */
+function getDerivativeWidths(sourceWidth) {
+  const widths = CONFIG.IMAGE_SIZES.filter((width) => width < sourceWidth);
+  return [...widths, sourceWidth];
+}
+
+async function encodeImage(image, format, width) {
+  const encoder = RASTER_ENCODERS[format];
+  const pipeline = image.clone().resize(width, null, {
+    withoutEnlargement: true,
+    fit: 'inside',
+  });
+
+  const { data, info } = await encoder
+    .encode(pipeline)
+    .toBuffer({ resolveWithObject: true });
+
+  const buffer = encoder.plugins
+    ? await imagemin.buffer(data, { plugins: encoder.plugins() })
+    : data;
+
+  return { buffer, width: info.width, height: info.height };
+}
+
 async function optimizeImage(inputPath, outputDir) {
   const startTime = performance.now();
   const ext = path.extname(inputPath).toLowerCase();
@@ -113,11 +312,7 @@ async function optimizeImage(inputPath, outputDir) {
       const optimized = await imagemin.buffer(svgBuffer, {
         plugins: [
           imageminSvgo({
-            plugins: [
-              { name: 'removeViewBox', active: false },
-              { name: 'cleanupIDs', active: true },
-              { name: 'removeUnusedNS', active: true },
-            ],
+            plugins: SVGO_PLUGINS.map((plugin) => ({ ...plugin })),
           }),
         ],
       });
@@ -131,8 +326,10 @@ async function optimizeImage(inputPath, outputDir) {
 
       optimizedFiles.push({
         path: outputPath,
+        source: relativePath,
         format: 'svg',
         size: optimizedSize,
+        isDefault: true,
       });
 
       logger.info('Optimized SVG', {
@@ -151,78 +348,49 @@ async function optimizeImage(inputPath, outputDir) {
     const metadata = await image.metadata();
 
     const targetWidth = Math.min(metadata.width, CONFIG.MAX_IMAGE_WIDTH);
+    const widths = getDerivativeWidths(targetWidth);
+
+    for (const format of RASTER_OUTPUT_FORMATS[ext]) {
+      const { extension } = RASTER_ENCODERS[format];
+
+      for (const width of widths) {
+        const encoded = await encodeImage(image, format, width);
+        const outputPath = path.join(outputDir, `${basename}-${width}w${extension}`);
+        await fs.writeFile(outputPath, encoded.buffer);
+
+        optimizedFiles.push({
+          path: outputPath,
+          source: relativePath,
+          format,
+          width: encoded.width,
+          height: encoded.height,
+          size: encoded.buffer.length,
+        });
 
-    const webpBuffer = await image
-      .resize(targetWidth, null, {
-        withoutEnlargement: true,
-        fit: 'inside',
-      })
-      .webp({ quality: CONFIG.IMAGE_QUALITY.webp })
-      .toBuffer();
-
-    const webpPath = path.join(outputDir, `${basename}.webp`);
-    await fs.writeFile(webpPath, webpBuffer);
-
-    optimizedFiles.push({
-      path: webpPath,
-      format: 'webp',
-      size: webpBuffer.length,
-    });
-
-    if (ext === '.jpg' || ext === '.jpeg') {
-      const jpegBuffer = await image
-        .resize(targetWidth, null, {
-          withoutEnlargement: true,
-          fit: 'inside',
-        })
-        .jpeg({ quality: CONFIG.IMAGE_QUALITY.jpeg, progressive: true })
-        .toBuffer();
-
-      const optimized = await imagemin.buffer(jpegBuffer, {
-        plugins: [imageminMozjpeg({ quality: CONFIG.IMAGE_QUALITY.jpeg })],
-      });
-
-      const jpegPath = path.join(outputDir, `${basename}.jpg`);
-      await fs.writeFile(jpegPath, optimized);
-
-      optimizedFiles.push({
-        path: jpegPath,
-        format: 'jpeg',
-        size: optimized.length,
-      });
-    } else if (ext === '.png') {
-      const pngBuffer = await image
-        .resize(targetWidth, null, {
-          withoutEnlargement: true,
-          fit: 'inside',
-        })
-        .png({ compressionLevel: 9 })
-        .toBuffer();
-
-      const optimized = await imagemin.buffer(pngBuffer, {
-        plugins: [
-          imageminPngquant({
-            quality: [0.8, 0.9],
-            speed: 1,
-          }),
-        ],
-      });
-
-      const pngPath = path.join(outputDir, `${basename}.png`);
-      await fs.writeFile(pngPath, optimized);
-
-      optimizedFiles.push({
-        path: pngPath,
-        format: 'png',
-        size: optimized.length,
-      });
+        // The unsuffixed name keeps existing references working
+        if (width === targetWidth) {
+          const defaultPath = path.join(outputDir, `${basename}${extension}`);
+          await fs.writeFile(defaultPath, encoded.buffer);
+
+          optimizedFiles.push({
+            path: defaultPath,
+            source: relativePath,
+            format,
+            width: encoded.width,
+            height: encoded.height,
+            size: encoded.buffer.length,
+            isDefault: true,
+          });
+        }
+      }
     }
 
     const totalSize = optimizedFiles.reduce((sum, file) => sum + file.size, 0);
 
     logger.info('Optimized image', {
       input: relativePath,
-      formats: optimizedFiles.map((f) => f.format).join(', '),
+      formats: RASTER_OUTPUT_FORMATS[ext].join(', '),
+      widths: widths.join(', '),
       totalSize,
       duration: `${(performance.now() - startTime).toFixed(2)}ms`,
     });
@@ -237,29 +405,593 @@ async function optimizeImage(inputPath, outputDir) {
   }
 }
 
-async function optimizeCSS(inputPath, outputPath) {
+const VOID_ELEMENTS = Object.freeze(
+  new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'])
+);
+const RAW_TEXT_ELEMENTS = Object.freeze(new Set(['script', 'style', 'textarea', 'title']));
+const BLOCK_ELEMENTS = Object.freeze(
+  new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+    'hr', 'legend', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tr', 'ul',
+  ])
+);
+const REPLACED_ELEMENTS = Object.freeze(
+  new Set(['button', 'canvas', 'iframe', 'img', 'input', 'select', 'svg', 'textarea', 'video'])
+);
+// Not rendered, or (noscript) only without JavaScript
+const UNRENDERED_ELEMENTS = Object.freeze(
+  new Set(['head', 'link', 'meta', 'noscript', 'script', 'style', 'template', 'title'])
+);
+// Pseudo-elements written with a single colon
+const LEGACY_PSEUDO_ELEMENTS = Object.freeze(new Set(['before', 'after', 'first-line', 'first-letter']));
+
+const HTML_TOKEN_PATTERN =
+  /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+/**
+ * Parse HTML into a minimal element tree for selector matching
+ * @returns {Object} - Document node; elements are { tag, attributes, children,
+ *   parent } and text nodes { text }
+ */
+function parseHtmlDocument(html) {
+  const document = { tag: '#document', attributes: new Map(), children: [], parent: null };
+  const lowerHtml = html.toLowerCase();
+  const pattern = new RegExp(HTML_TOKEN_PATTERN.source, 'g');
+  let current = document;
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    const [token, closeTag, openTag, attributeSource] = match;
+
+    if (openTag) {
+      const tag = openTag.toLowerCase();
+      const element = {
+        tag,
+        attributes: new Map(
+          parseAttributes(attributeSource.replace(/\/\s*$/, '')).map(({ name, value }) => [name, value ?? ''])
+        ),
+        children: [],
+        parent: current,
+      };
+      current.children.push(element);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const end = lowerHtml.indexOf(`</${tag}`, pattern.lastIndex);
+        const stop = end === -1 ? html.length : end;
+        element.children.push({ text: html.slice(pattern.lastIndex, stop) });
+        pattern.lastIndex = stop;
+        current = element;
+      } else if (!VOID_ELEMENTS.has(tag) && !/\/\s*$/.test(attributeSource)) {
+        current = element;
+      }
+    } else if (closeTag) {
+      const tag = closeTag.toLowerCase();
+      let node = current;
+
+      while (node !== document && node.tag !== tag) node = node.parent;
+      if (node !== document) current = node.parent;
+    } else if (!token.startsWith('<!') || token === '<') {
+      current.children.push({ text: token });
+    }
+  }
+
+  return document;
+}
+
+function getElementChildren(node) {
+  return node.children.filter((child) => child.tag);
+}
+
+function unescapeIdentifier(value) {
+  return value.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse one compound selector (no combinators), e.g. a.cta:hover[href^="#"]
+ * @returns {Object} - { tag, ids, classes, attributes, isRoot }; other
+ *   pseudo-classes and pseudo-elements are dropped, so matching is
+ *   conservative (:hover or :not() never rule an element out)
+ */
+function parseCompoundSelector(source) {
+  const compound = { tag: null, ids: [], classes: [], attributes: [], isRoot: false };
+  const identifier = /^(?:\\.|[\w-])+/;
+  let index = 0;
+
+  while (index < source.length) {
+    const rest = source.slice(index);
+    const char = source[index];
+
+    if (char === '*' || /[a-zA-Z]/.test(char)) {
+      const name = char === '*' ? '*' : rest.match(identifier)[0];
+      compound.tag = name.toLowerCase();
+      index += name.length;
+    } else if (char === '#' || char === '.') {
+      const name = rest.slice(1).match(identifier)?.[0] || '';
+      (char === '#' ? compound.ids : compound.classes).push(unescapeIdentifier(name));
+      index += name.length + 1;
+    } else if (char === '[') {
+      const attribute = rest.match(
+        /^\[\s*([\w-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*([is])?\s*)?\]/i
+      );
+      if (!attribute) break;
+
+      compound.attributes.push({
+        name: attribute[1].toLowerCase(),
+        operator: attribute[2] || null,
+        value: attribute[3] ?? attribute[4] ?? attribute[5] ?? null,
+        insensitive: attribute[6]?.toLowerCase() === 'i',
+      });
+      index += attribute[0].length;
+    } else if (char === ':') {
+      const name = rest.match(/^::?((?:\\.|[\w-])+)/);
+      if (!name) break;
+
+      index += name[0].length;
+
+      // Skip a balanced argument list, e.g. :not(.a, :is(.b))
+      if (source[index] === '(') {
+        let depth = 0;
+        do {
+          if (source[index] === '(') depth += 1;
+          if (source[index] === ')') depth -= 1;
+          index += 1;
+        } while (depth > 0 && index < source.length);
+      }
+
+      if (name[1].toLowerCase() === 'root' && !name[0].startsWith('::')) {
+        compound.isRoot = true;
+      }
+    } else {
+      index += 1;
+    }
+  }
+
+  return compound;
+}
+
+/**
+ * Split a complex selector into compounds and the combinators between them
+ * @returns {Object[]} - [{ combinator, compound }], left to right; the first
+ *   combinator is null
+ */
+function parseComplexSelector(selector) {
+  const parts = [];
+  let compound = '';
+  let combinator = null;
+  let depth = 0;
+  let quote = null;
+
+  const push = () => {
+    if (compound) {
+      parts.push({ combinator: parts.length ? combinator : null, compound: parseCompoundSelector(compound) });
+      compound = '';
+      combinator = ' ';
+    }
+  };
+
+  for (let index = 0; index < selector.length; index += 1) {
+    const char = selector[index];
+
+    if (char === '\\') {
+      compound += char + (selector[index + 1] ?? '');
+      index += 1;
+    } else if (quote) {
+      compound += char;
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      compound += char;
+    } else if (depth === 0 && /[\s>+~]/.test(char)) {
+      push();
+      if (!/\s/.test(char)) combinator = char;
+    } else {
+      if (char === '(' || char === '[') depth += 1;
+      if (char === ')' || char === ']') depth -= 1;
+      compound += char;
+    }
+  }
+
+  push();
+  return parts;
+}
+
+function matchesAttributeSelector(element, { name, operator, value, insensitive }) {
+  if (!element.attributes.has(name)) return false;
+  if (!operator) return true;
+
+  const normalize = (text) => (insensitive ? text.toLowerCase() : text);
+  const actual = normalize(element.attributes.get(name));
+  const expected = normalize(value);
+
+  switch (operator) {
+    case '=': return actual === expected;
+    case '~=': return actual.split(/\s+/).includes(expected);
+    case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    default: return true;
+  }
+}
+
+function matchesCompound(element, compound) {
+  if (element.tag === '#document') return false;
+  if (compound.tag && compound.tag !== '*' && compound.tag !== element.tag) return false;
+  if (compound.isRoot && element.tag !== 'html') return false;
+
+  const classes = (element.attributes.get('class') || '').split(/\s+/);
+
+  return (
+    compound.ids.every((id) => element.attributes.get('id') === id) &&
+    compound.classes.every((className) => classes.includes(className)) &&
+    compound.attributes.every((attribute) => matchesAttributeSelector(element, attribute))
+  );
+}
+
+function matchesSelector(element, parts, index = parts.length - 1) {
+  if (!matchesCompound(element, parts[index].compound)) return false;
+  if (index === 0) return true;
+
+  const { combinator } = parts[index];
+  const siblings = element.parent ? getElementChildren(element.parent) : [];
+  const previous = siblings.slice(0, siblings.indexOf(element));
+
+  if (combinator === '>') {
+    return Boolean(element.parent) && matchesSelector(element.parent, parts, index - 1);
+  }
+
+  if (combinator === '+') {
+    return previous.length > 0 && matchesSelector(previous[previous.length - 1], parts, index - 1);
+  }
+
+  if (combinator === '~') {
+    return previous.some((sibling) => matchesSelector(sibling, parts, index - 1));
+  }
+
+  for (let ancestor = element.parent; ancestor; ancestor = ancestor.parent) {
+    if (matchesSelector(ancestor, parts, index - 1)) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Words that appear anywhere in the site's HTML and browser scripts; a
+ * selector naming a class, id, element or attribute outside this set can't
+ * match, even in markup the scripts create
+ * @returns {Promise<Set>}
+ */
+async function collectContentTokens() {
+  const files = [
+    ...(await findHtmlFiles()),
+    ...(await glob('js/**/*.js', { cwd: CONFIG.SOURCE_DIR, absolute: true })),
+  ];
+  const tokens = new Set();
+
+  for (const filePath of files.sort()) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    for (const [token] of content.matchAll(/[\w-]+/g)) tokens.add(token);
+  }
+
+  return tokens;
+}
+
+function isSelectorUsed(selector, tokens) {
+  return parseComplexSelector(selector).every(({ compound }) =>
+    (!compound.tag || compound.tag === '*' || tokens.has(compound.tag)) &&
+    compound.ids.every((id) => tokens.has(id)) &&
+    compound.classes.every((className) => tokens.has(className)) &&
+    compound.attributes.every((attribute) => tokens.has(attribute.name))
+  );
+}
+
+function getAnimationNames(root) {
+  const names = new Set();
+
+  root.walkDecls(/^(?:-webkit-)?animation(?:-name)?$/i, (decl) => {
+    decl.value.split(/[\s,]+/).forEach((name) => names.add(name));
+  });
+
+  return names;
+}
+
+/**
+ * PostCSS plugin removing selectors no page or script uses, then the rules,
+ * at-rules and @keyframes left without any
+ * @param {Set} tokens - From collectContentTokens()
+ * @param {Object} stats - Receives removedSelectors
+ */
+function purgeUnusedSelectors(tokens, stats) {
+  return {
+    postcssPlugin: 'purge-unused-selectors',
+    OnceExit(root) {
+      stats.removedSelectors = 0;
+
+      root.walkRules((rule) => {
+        if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+
+        const used = rule.selectors.filter((selector) => isSelectorUsed(selector, tokens));
+        stats.removedSelectors += rule.selectors.length - used.length;
+
+        if (used.length === 0) {
+          rule.remove();
+        } else if (used.length < rule.selectors.length) {
+          rule.selectors = used;
+        }
+      });
+
+      const animations = getAnimationNames(root);
+      root.walkAtRules(/keyframes$/i, (atRule) => {
+        if (!animations.has(atRule.params.trim())) atRule.remove();
+      });
+
+      let emptied;
+      do {
+        emptied = [];
+        root.walkAtRules((atRule) => {
+          if (atRule.nodes && atRule.nodes.length === 0) emptied.push(atRule);
+        });
+        emptied.forEach((atRule) => atRule.remove());
+      } while (emptied.length > 0);
+    },
+  };
+}
+
+function matchesMediaQuery(params, viewport) {
+  return params.split(',').some((query) => {
+    const normalized = query.trim().toLowerCase();
+
+    // Negated queries are kept rather than evaluated
+    if (normalized.startsWith('not ')) return true;
+
+    const type = normalized.match(/^(?:only\s+)?([a-z-]+)/)?.[1];
+    if (type && !['all', 'screen'].includes(type)) return false;
+
+    return Array.from(normalized.matchAll(/\(\s*(min|max)-(width|height)\s*:\s*([^)]+)\)/g)).every(
+      ([, bound, dimension, value]) => {
+        const size = dimension === 'width' ? viewport.width : viewport.height;
+        const limit = parseCssLength(value, viewport.width);
+        return bound === 'min' ? size >= limit : size <= limit;
+      }
+    );
+  });
+}
+
+/**
+ * Elements estimated to render within the fold of a viewport, with their
+ * ancestors (see CRITICAL_CSS)
+ * @returns {Set} - Element nodes
+ */
+function estimateAboveTheFold(document, viewport) {
+  const { layout } = CRITICAL_CSS;
+  const contentWidth = Math.min(viewport.width, layout.maxContentWidth) - layout.gutter;
+  const fold = viewport.height * CRITICAL_CSS.foldMargin;
+  const visible = new Set();
+  let y = 0;
+
+  const isRendered = (element) =>
+    !UNRENDERED_ELEMENTS.has(element.tag) &&
+    !element.attributes.has('hidden') &&
+    !(element.tag === 'input' && element.attributes.get('type') === 'hidden');
+
+  // Text laid out in this block: its own and that of inline descendants
+  const getInlineText = (element) =>
+    element.children
+      .map((child) => {
+        if (!child.tag) return child.text;
+        if (BLOCK_ELEMENTS.has(child.tag) || REPLACED_ELEMENTS.has(child.tag) || !isRendered(child)) return '';
+        return getInlineText(child);
+      })
+      .join('');
+
+  const getReplacedHeight = (element) => {
+    if (element.tag !== 'img') return layout.controlHeight;
+
+    const width = Number(element.attributes.get('width'));
+    const height = Number(element.attributes.get('height'));
+    if (!height) return layout.imageHeight;
+    return width > contentWidth ? (height * contentWidth) / width : height;
+  };
+
+  const visit = (element) => {
+    if (y > fold || !isRendered(element)) return;
+
+    for (let node = element; node && !visible.has(node) && node.tag !== '#document'; node = node.parent) {
+      visible.add(node);
+    }
+
+    if (REPLACED_ELEMENTS.has(element.tag)) {
+      y += getReplacedHeight(element);
+    } else if (BLOCK_ELEMENTS.has(element.tag)) {
+      const text = getInlineText(element).replace(/\s+/g, ' ').trim();
+      const fontSize = layout.headingSizes[element.tag] || layout.fontSize;
+      const charsPerLine = Math.max(1, Math.floor(contentWidth / (fontSize * layout.charWidth)));
+
+      y += layout.blockSpacing;
+      if (text) y += Math.ceil(text.length / charsPerLine) * fontSize * layout.lineHeight;
+    }
+
+    getElementChildren(element).forEach(visit);
+  };
+
+  visit(document);
+  return visible;
+}
+
+/**
+ * Extract the rules of a stylesheet that apply above the fold of a page at
+ * any of the CRITICAL_CSS viewports, with the @keyframes and @font-face
+ * rules they use
+ * @param {string} css - Stylesheet
+ * @param {Object} document - From parseHtmlDocument()
+ * @returns {Object} - { css, rules }
+ */
+function extractCriticalCss(css, document) {
+  const visibleByViewport = CRITICAL_CSS.viewports.map((viewport) => ({
+    viewport,
+    elements: Array.from(estimateAboveTheFold(document, viewport)),
+  }));
+
+  const source = postcss.parse(css);
+  const critical = postcss.root();
+  const deferred = { keyframes: [], fontFaces: [] };
+  let rules = 0;
+
+  const filter = (container, scopes) => {
+    const kept = [];
+
+    container.each((node) => {
+      if (node.type === 'rule') {
+        const selectors = node.selectors.filter((selector) => {
+          const parts = parseComplexSelector(selector);
+          return parts.length > 0 && scopes.some(({ elements }) =>
+            elements.some((element) => matchesSelector(element, parts))
+          );
+        });
+
+        if (selectors.length > 0) {
+          kept.push(node.clone({ selectors }));
+          rules += 1;
+        }
+      } else if (node.type === 'atrule') {
+        const name = node.name.toLowerCase();
+
+        if (/keyframes$/.test(name)) {
+          deferred.keyframes.push(node);
+        } else if (name === 'font-face') {
+          deferred.fontFaces.push(node);
+        } else if (name === 'media' || name === 'supports' || name === 'layer' || name === 'container') {
+          const matching = name === 'media'
+            ? scopes.filter(({ viewport }) => matchesMediaQuery(node.params, viewport))
+            : scopes;
+          const children = matching.length > 0 && node.nodes ? filter(node, matching) : [];
+
+          if (children.length > 0) {
+            const wrapper = node.clone({ nodes: [] });
+            children.forEach((child) => wrapper.append(child));
+            kept.push(wrapper);
+          }
+        }
+      }
+    });
+
+    return kept;
+  };
+
+  filter(source, visibleByViewport).forEach((node) => critical.append(node));
+
+  const animations = getAnimationNames(critical);
+  const fontFamilies = new Set();
+  critical.walkDecls(/^font(?:-family)?$/i, (decl) => {
+    decl.value.split(',').forEach((family) => fontFamilies.add(family.trim().replace(/^["']|["']$/g, '')));
+  });
+
+  deferred.fontFaces
+    .filter((fontFace) => fontFace.some?.((decl) => decl.prop === 'font-family' &&
+      Array.from(fontFamilies).some((family) => decl.value.includes(family))))
+    .reverse()
+    .forEach((fontFace) => critical.prepend(fontFace.clone()));
+
+  deferred.keyframes
+    .filter((keyframes) => animations.has(keyframes.params.trim()))
+    .forEach((keyframes) => critical.append(keyframes.clone()));
+
+  return { css: critical.toString(), rules };
+}
+
+// Relative url()s in a stylesheet moved into a page resolve from the page
+function rebaseCssUrls(css, fromPath, toPath) {
+  return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) => {
+    const resolved = resolveLocalUrl(url.trim(), fromPath);
+    if (!resolved || url.trim().startsWith('/')) return match;
+
+    const rebased = path.posix.relative(path.posix.dirname(toPath), resolved.key);
+    return `url(${quote}${encodeURI(rebased)}${resolved.suffix}${quote})`;
+  });
+}
+
+// Stylesheet links outside <noscript> (those are the no-JavaScript fallback)
+const STYLESHEET_LINK_PATTERN =
+  /<!--[\s\S]*?-->|<noscript\b[\s\S]*?<\/noscript\s*>|<link\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+
+/**
+ * Inline a page's above-the-fold CSS before its first stylesheet and load
+ * the stylesheets without blocking rendering (media="print" swapped on load,
+ * with a <noscript> fallback). The stylesheets keep the inlined rules so the
+ * cascade is unchanged once they load.
+ * @param {string} html - Built page
+ * @param {string} pagePath - Path relative to the build directory
+ * @returns {Promise<Object>} - { html, size, rules }
+ */
+async function inlineCriticalCss(html, pagePath) {
+  const document = parseHtmlDocument(html);
+  const stylesheets = [];
+
+  for (const match of html.matchAll(STYLESHEET_LINK_PATTERN)) {
+    if (match[1] === undefined) continue;
+
+    const attributes = parseAttributes(match[1].replace(/\/\s*$/, ''));
+    const get = (name) => attributes.find((attr) => attr.name === name)?.value;
+    const rel = (get('rel') || '').toLowerCase().split(/\s+/);
+    const resolved = resolveLocalUrl(get('href'), pagePath);
+
+    if (rel.includes('stylesheet') && !rel.includes('alternate') && resolved) {
+      stylesheets.push({ tag: match[0], index: match.index, attributes, href: get('href'), key: resolved.key });
+    }
+  }
+
+  if (stylesheets.length === 0) return { html, size: 0, rules: 0 };
+
+  let criticalCss = '';
+  let rules = 0;
+
+  for (const key of new Set(stylesheets.map((stylesheet) => stylesheet.key))) {
+    const extracted = extractCriticalCss(await fs.readFile(path.join(CONFIG.BUILD_DIR, key), 'utf-8'), document);
+    criticalCss += rebaseCssUrls(extracted.css, key, pagePath);
+    rules += extracted.rules;
+  }
+
+  criticalCss = criticalCss.replace(/<\/(style)/gi, '<\\/$1');
+
+  let output = '';
+  let position = 0;
+
+  stylesheets.forEach((stylesheet, index) => {
+    const media = stylesheet.attributes.find((attr) => attr.name === 'media')?.value;
+    const isDeferred = media === 'print' && stylesheet.attributes.some((attr) => attr.name === 'onload');
+    const deferredTag = isDeferred
+      ? stylesheet.tag
+      : `<link${serializeAttributes([
+          ...stylesheet.attributes.filter((attr) => attr.name !== 'media' && attr.name !== 'onload'),
+          { name: 'media', value: 'print' },
+          { name: 'onload', value: `this.media='${media || 'all'}'` },
+        ])}><noscript>${stylesheet.tag}</noscript>`;
+
+    output += html.slice(position, stylesheet.index);
+    output += index === 0 ? `<style>${criticalCss}</style>` : '';
+    output += deferredTag;
+    position = stylesheet.index + stylesheet.tag.length;
+  });
+
+  output += html.slice(position);
+
+  return { html: output, size: Buffer.byteLength(criticalCss, 'utf-8'), rules };
+}
+
+async function optimizeCSS(inputPath, outputPath, usedTokens = null) {
   const startTime = performance.now();
   const relativePath = path.relative(CONFIG.SOURCE_DIR, inputPath);
 
   try {
     const css = await fs.readFile(inputPath, 'utf-8');
     const originalSize = Buffer.byteLength(css, 'utf-8');
+    const purge = {};
 
     const result = await postcss([
-      autoprefixer({
-        overrideBrowserslist: ['> 1%', 'last 2 versions', 'not dead'],
-      }),
-      cssnano({
-        preset: [
-          'default',
-          {
-            discardComments: { removeAll: true },
-            normalizeWhitespace: true,
-            minifyFontValues: true,
-            minifySelectors: true,
-          },
-        ],
-      }),
+      ...(usedTokens ? [purgeUnusedSelectors(usedTokens, purge)] : []),
+      autoprefixer(structuredClone(AUTOPREFIXER_OPTIONS)),
+      cssnano(structuredClone(CSSNANO_OPTIONS)),
     ]).process(css, {
       from: inputPath,
       to: outputPath,
@@ -278,6 +1010,7 @@ async function optimizeCSS(inputPath, outputPath) {
     logger.info('Optimized CSS', {
       input: relativePath,
       output: path.basename(outputPath),
+      removedSelectors: purge.removedSelectors,
       originalSize,
       optimizedSize,
       savings: `${savings}%`,
@@ -303,22 +1036,7 @@ async function optimizeJS(inputPath, outputPath) {
     const originalSize = Buffer.byteLength(code, 'utf-8');
 
     const result = await terserMinify(code, {
-      compress: {
-        dead_code: true,
-        drop_console: false,
-        drop_debugger: true,
-        keep_classnames: false,
-        keep_fnames: false,
-        passes: 2,
-      },
-      mangle: {
-        toplevel: true,
-        safari10: true,
-      },
-      format: {
-        comments: false,
-        ecma: 2020,
-      },
+      ...structuredClone(TERSER_OPTIONS),
       sourceMap: {
         filename: path.basename(outputPath),
         url: `${path.basename(outputPath)}.map`,
@@ -336,9 +1054,10 @@ async function optimizeJS(inputPath, outputPath) {
     await fs.writeFile(outputPath, result.code, 'utf-8');
 
     if (result.map) {
+      // Terser returns the map already serialized
       await fs.writeFile(
         `${outputPath}.map`,
-        JSON.stringify(result.map),
+        typeof result.map === 'string' ? result.map : JSON.stringify(result.map),
         'utf-8'
       );
     }
@@ -362,105 +1081,1143 @@ async function optimizeJS(inputPath, outputPath) {
   }
 }
 
-async function copyFile(source, destination) {
-  try {
-    await ensureDirectory(path.dirname(destination));
-    await fs.copyFile(source, destination);
-    const stats = await fs.stat(destination);
+const IMAGE_MIME_TYPES = Object.freeze({
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+});
 
-    logger.info('Copied file', {
-      source: path.relative(CONFIG.SOURCE_DIR, source),
-      destination: path.relative(CONFIG.BUILD_DIR, destination),
-      size: stats.size,
-    });
+// Markup whose <img> tags are left alone (already responsive, or not rendered)
+const HTML_SKIP_PATTERN =
+  /<!--[\s\S]*?-->|<(script|noscript|template|picture|textarea)\b[\s\S]*?<\/\1\s*>|<img\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
 
-    return { path: destination, size: stats.size };
-  } catch (error) {
-    throw new OptimizationError(`Failed to copy file: ${source}`, error, {
-      source,
-      destination,
-    });
+function parseAttributes(source) {
+  const attributes = [];
+  const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+  for (const match of source.matchAll(pattern)) {
+    const value = match[2] ?? match[3] ?? match[4];
+    attributes.push({ name: match[1].toLowerCase(), value: value ?? null });
   }
+
+  return attributes;
 }
 
-async function processAssets() {
-  const startTime = performance.now();
-  const results = {
-    images: [],
-    css: [],
-    js: [],
-    html: [],
-    other: [],
-    errors: [],
-  };
+function serializeAttributes(attributes) {
+  return attributes
+    .map(({ name, value }) =>
+      value === null ? ` ${name}` : ` ${name}="${String(value).replace(/&(?![\w#]+;)/g, '&amp;').replace(/"/g, '&quot;')}"`
+    )
+    .join('');
+}
 
+/**
+ * Resolve a URL written in a file of the site to a path relative to the
+ * site root
+ * @param {string} url - URL as written (relative or root-relative)
+ * @param {string} fromPath - Path of the referencing file, relative to the root
+ * @returns {Object|null} - { key, suffix, toUrl } where suffix is any query or
+ *   fragment and toUrl maps a root-relative path back to a URL written the
+ *   same way; null for other origins and data: URLs
+ */
+function resolveLocalUrl(url, fromPath) {
+  if (!url || /^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i.test(url)) return null;
+
+  const [pathname] = url.split(/[?#]/);
+  const suffix = url.slice(pathname.length);
+  const isRootRelative = pathname.startsWith('/');
+  const fromDir = path.posix.dirname(fromPath.split(path.sep).join('/'));
+
+  let key;
   try {
-    logger.info('Starting asset optimization', {
-      buildDir: CONFIG.BUILD_DIR,
-      sourceDir: CONFIG.SOURCE_DIR,
-    });
+    key = isRootRelative
+      ? path.posix.normalize(decodeURI(pathname.slice(1)))
+      : path.posix.normalize(path.posix.join(fromDir, decodeURI(pathname)));
+  } catch {
+    return null;
+  }
 
-    await ensureDirectory(CONFIG.BUILD_DIR);
+  const toUrl = (file) => encodeURI(isRootRelative ? `/${file}` : path.posix.relative(fromDir, file));
 
-    const imagePatterns = Array.from(SUPPORTED_IMAGE_FORMATS).map(
-      (ext) => `**/*${ext}`
-    );
-    const imageFiles = await glob(imagePatterns, {
-      cwd: CONFIG.SOURCE_DIR,
-      ignore: ['node_modules/**', 'dist/**', 'build/**', '.git/**'],
-      absolute: true,
-    });
+  return { key, suffix, toUrl };
+}
 
-    logger.info('Found images to optimize', { count: imageFiles.length });
+/**
+ * Find the manifest entry for an <img src> in an HTML file
+ * @returns {Object|null} - { key, entry, toUrl } where toUrl maps a manifest
+ *   path back to a URL written the same way as the original src
+ */
+function resolveImageSource(src, htmlRelativePath, manifest) {
+  const resolved = resolveLocalUrl(src, htmlRelativePath);
+  const entry = resolved && manifest[resolved.key];
+
+  if (!entry || !Object.keys(entry.formats).some((format) => IMAGE_MIME_TYPES[format])) {
+    return null;
+  }
 
-    for (const imagePath of imageFiles) {
-      try {
-        const relativePath = path.relative(CONFIG.SOURCE_DIR, imagePath);
-        const outputDir = path.join(
-          CONFIG.BUILD_DIR,
-          path.dirname(relativePath)
-        );
-
-        const optimized = await optimizeImage(imagePath, outputDir);
-        results.images.push(...optimized);
-      } catch (error) {
-        logger.error('Image optimization failed', error, {
-          path: imagePath,
-        });
-        results.errors.push({
-          type: 'image',
-          path: imagePath,
-          error: error.message,
-        });
-      }
-    }
+  return { key: resolved.key, entry, toUrl: resolved.toUrl };
+}
 
-    const cssFiles = await glob('**/*.css', {
-      cwd: CONFIG.SOURCE_DIR,
-      ignore: ['node_modules/**', 'dist/**', 'build/**', '.git/**'],
-      absolute: true,
+// Attributes holding one URL, or a srcset list of them
+const URL_ATTRIBUTES = Object.freeze(new Set(['src', 'href', 'data-src', 'data-bg', 'poster']));
+const SRCSET_ATTRIBUTES = Object.freeze(new Set(['srcset', 'data-srcset', 'imagesrcset']));
+
+const HTML_REFERENCE_PATTERN =
+  /<!--[\s\S]*?-->|<(script|style)\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/\1\s*>|<[a-z][\w-]*\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+
+/**
+ * Point a URL at the fingerprinted file it references, if any
+ * @param {Map} assets - Original to fingerprinted path, relative to the root
+ */
+function rewriteUrl(url, fromPath, assets, counter) {
+  const resolved = resolveLocalUrl(url.trim(), fromPath);
+
+  if (!resolved || !assets.has(resolved.key)) return url;
+
+  counter.count += 1;
+  return resolved.toUrl(assets.get(resolved.key)) + resolved.suffix;
+}
+
+function rewriteSrcset(srcset, fromPath, assets, counter) {
+  return srcset
+    .split(',')
+    .map((candidate) =>
+      candidate.replace(/^(\s*)(\S+)/, (match, space, url) => space + rewriteUrl(url, fromPath, assets, counter))
+    )
+    .join(',');
+}
+
+function rewriteCssUrls(css, fromPath, assets, counter) {
+  return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) =>
+    `url(${quote}${rewriteUrl(url, fromPath, assets, counter)}${quote})`
+  );
+}
+
+function rewriteHtmlAttributes(source, fromPath, assets, counter) {
+  return source.replace(
+    /(\s)([^\s=/>]+)(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s>"']+))/g,
+    (match, space, name, equals, double, single, bare) => {
+      const attribute = name.toLowerCase();
+      const value = double ?? single ?? bare;
+      const quote = double !== undefined ? '"' : single !== undefined ? "'" : '';
+      let rewritten = value;
+
+      if (URL_ATTRIBUTES.has(attribute)) {
+        rewritten = rewriteUrl(value, fromPath, assets, counter);
+      } else if (SRCSET_ATTRIBUTES.has(attribute)) {
+        rewritten = rewriteSrcset(value, fromPath, assets, counter);
+      } else if (attribute === 'style') {
+        rewritten = rewriteCssUrls(value, fromPath, assets, counter);
+      }
+
+      return `${space}${name}${equals}${quote}${rewritten}${quote}`;
+    }
+  );
+}
+
+/**
+ * Rewrite references to fingerprinted assets in an HTML document: URL and
+ * srcset attributes (including <noscript> content), style attributes and
+ * <style> blocks; inline script bodies and comments are left as written
+ */
+function rewriteHtmlReferences(html, fromPath, assets, counter) {
+  return html.replace(HTML_REFERENCE_PATTERN, (match, rawTag, rawAttributes, rawContent, attributes) => {
+    if (match.startsWith('<!--')) return match;
+
+    if (rawTag) {
+      const openTag = `<${rawTag}${rewriteHtmlAttributes(rawAttributes, fromPath, assets, counter)}>`;
+      const content = rawTag.toLowerCase() === 'style'
+        ? rewriteCssUrls(rawContent, fromPath, assets, counter)
+        : rawContent;
+      return `${openTag}${content}${match.slice(match.lastIndexOf('</'))}`;
+    }
+
+    const tagName = match.slice(0, match.length - attributes.length - 1);
+    return `${tagName}${rewriteHtmlAttributes(attributes, fromPath, assets, counter)}>`;
+  });
+}
+
+/**
+ * Rewrite one <img> into a <picture> with a <source> per modern format
+ * and a srcset on the fallback image
+ */
+function buildPictureMarkup(attributes, image, isLazy) {
+  const { entry, toUrl } = image;
+  const get = (name) => attributes.find((attr) => attr.name === name)?.value;
+  const srcsetFor = (files) => files.map((file) => `${toUrl(file.src)} ${file.width}w`).join(', ');
+  const sizes = get('sizes') || get('data-sizes') || CONFIG.DEFAULT_IMAGE_SIZES;
+
+  const formats = Object.keys(entry.formats).filter((format) => IMAGE_MIME_TYPES[format]);
+  const fallbackFormat = formats[formats.length - 1];
+  const srcAttr = isLazy ? 'data-src' : 'src';
+  const srcsetAttr = isLazy ? 'data-srcset' : 'srcset';
+
+  const sources = formats.slice(0, -1).map((format) =>
+    `<source${serializeAttributes([
+      { name: 'type', value: IMAGE_MIME_TYPES[format] },
+      { name: srcsetAttr, value: srcsetFor(entry.formats[format]) },
+      { name: 'sizes', value: sizes },
+    ])}>`
+  );
+
+  // Intrinsic size prevents layout shift; keep any size the author set
+  let width = Number(get('width')) || null;
+  let height = Number(get('height')) || null;
+  if (entry.width && entry.height) {
+    if (!width && !height) {
+      width = entry.width;
+      height = entry.height;
+    } else if (!height) {
+      height = Math.round((width * entry.height) / entry.width);
+    } else if (!width) {
+      width = Math.round((height * entry.width) / entry.height);
+    }
+  }
+
+  const replaced = new Set(['src', 'srcset', 'sizes', 'data-src', 'data-srcset', 'data-sizes', 'width', 'height']);
+  const imgAttributes = [
+    { name: srcAttr, value: toUrl(entry.src) },
+    { name: srcsetAttr, value: srcsetFor(entry.formats[fallbackFormat]) },
+    { name: isLazy ? 'data-sizes' : 'sizes', value: sizes },
+    ...(width && height ? [{ name: 'width', value: String(width) }, { name: 'height', value: String(height) }] : []),
+    ...attributes.filter((attr) => !replaced.has(attr.name) && !(isLazy && attr.name === 'loading')),
+  ];
+
+  if (!attributes.some((attr) => attr.name === 'decoding')) {
+    imgAttributes.push({ name: 'decoding', value: 'async' });
+  }
+
+  const picture = `<picture>${sources.join('')}<img${serializeAttributes(imgAttributes)}></picture>`;
+
+  if (!isLazy) return picture;
+
+  // Without JavaScript the lazy loader never runs, so keep a plain image
+  const fallbackAttributes = imgAttributes
+    .filter((attr) => !attr.name.startsWith('data-'))
+    .concat({ name: 'src', value: toUrl(entry.src) });
+
+  return `${picture}<noscript><img${serializeAttributes(fallbackAttributes)}></noscript>`;
+}
+
+/**
+ * Copy an HTML file, rewriting images the build optimized into responsive
+ * <picture> markup with intrinsic sizes (lazy below the fold) and pointing
+ * references at fingerprinted assets
+ * @param {Object} manifests - { images, assets } from buildImageManifest()
+ *   and fingerprintAssets()
+ * @param {Object} options - { criticalCss } to inline the critical CSS of
+ *   CRITICAL_CSS.pages (needs the stylesheets already built)
+ */
+async function transformHTML(inputPath, outputPath, manifests, options = {}) {
+  const startTime = performance.now();
+  const relativePath = path.relative(CONFIG.SOURCE_DIR, inputPath);
+
+  try {
+    const html = await fs.readFile(inputPath, 'utf-8');
+    const references = { count: 0 };
+    let imageIndex = 0;
+    let rewritten = 0;
+
+    const pictures = html.replace(HTML_SKIP_PATTERN, (match, skipped, imgSource) => {
+      if (imgSource === undefined) return match;
+
+      const attributes = parseAttributes(imgSource.replace(/\/\s*$/, ''));
+      const loading = attributes.find((attr) => attr.name === 'loading')?.value;
+      const isLazy = loading === 'lazy' || (loading !== 'eager' && imageIndex >= CONFIG.ABOVE_THE_FOLD_IMAGES);
+      imageIndex += 1;
+
+      const src = attributes.find((attr) => attr.name === 'src' || attr.name === 'data-src')?.value;
+      const image = resolveImageSource(src, relativePath, manifests.images);
+      if (!image) return match;
+
+      rewritten += 1;
+      return buildPictureMarkup(attributes, image, isLazy);
     });
 
-    logger.info('Found CSS files to optimize', { count: cssFiles.length });
+    let output = rewriteHtmlReferences(pictures, relativePath, manifests.assets, references);
 
-    for (const cssPath of cssFiles) {
-      try {
-        const relativePath = path.relative(CONFIG.SOURCE_DIR, cssPath);
-        const outputPath = path.join(CONFIG.BUILD_DIR, relativePath);
+    const pagePath = relativePath.split(path.sep).join('/');
+    if (options.criticalCss && CRITICAL_CSS.pages.includes(pagePath)) {
+      const critical = await inlineCriticalCss(output, pagePath);
+      output = critical.html;
 
-        const optimized = await optimizeCSS(cssPath, outputPath);
-        results.css.push(optimized);
-      } catch (error) {
-        logger.error('CSS optimization failed', error, { path: cssPath });
-        results.errors.push({
-          type: 'css',
-          path: cssPath,
-          error: error.message,
-        });
+      logger.info('Inlined critical CSS', { page: pagePath, rules: critical.rules, size: critical.size });
+    }
+
+    await ensureDirectory(path.dirname(outputPath));
+    await fs.writeFile(outputPath, output, 'utf-8');
+
+    const size = Buffer.byteLength(output, 'utf-8');
+
+    logger.info('Transformed HTML', {
+      input: relativePath,
+      images: imageIndex,
+      rewritten,
+      references: references.count,
+      size,
+      duration: `${(performance.now() - startTime).toFixed(2)}ms`,
+    });
+
+    return { path: outputPath, size };
+  } catch (error) {
+    throw new OptimizationError(
+      `Failed to transform HTML: ${relativePath}`,
+      error,
+      { inputPath, outputPath }
+    );
+  }
+}
+
+async function copyFile(source, destination) {
+  try {
+    await ensureDirectory(path.dirname(destination));
+    await fs.copyFile(source, destination);
+    const stats = await fs.stat(destination);
+
+    logger.info('Copied file', {
+      source: path.relative(CONFIG.SOURCE_DIR, source),
+      destination: path.relative(CONFIG.BUILD_DIR, destination),
+      size: stats.size,
+    });
+
+    return { path: destination, size: stats.size };
+  } catch (error) {
+    throw new OptimizationError(`Failed to copy file: ${source}`, error, {
+      source,
+      destination,
+    });
+  }
+}
+
+/**
+ * Build the image manifest: for each source image (path relative to the site
+ * root) its default file, intrinsic size and per-format width derivatives,
+ * smallest first, for building srcset attributes
+ */
+function buildImageManifest(images) {
+  const manifest = {};
+
+  for (const image of images) {
+    const source = image.source.split(path.sep).join('/');
+    const entry = (manifest[source] ??= { src: '', width: null, height: null, formats: {} });
+
+    if (image.isDefault) {
+      // The source's own format (listed last) is the fallback
+      entry.src = toUrlPath(image.path);
+      entry.width = image.width ?? null;
+      entry.height = image.height ?? null;
+      if (image.format === 'svg') entry.formats.svg = [{ src: entry.src, size: image.size }];
+      continue;
+    }
+
+    (entry.formats[image.format] ??= []).push({
+      src: toUrlPath(image.path),
+      width: image.width,
+      height: image.height,
+      size: image.size,
+    });
+  }
+
+  Object.values(manifest).forEach((entry) => {
+    Object.values(entry.formats).forEach((files) => files.sort((a, b) => (a.width ?? 0) - (b.width ?? 0)));
+  });
+
+  return manifest;
+}
+
+async function writeImageManifest(manifest) {
+  const manifestPath = path.join(CONFIG.BUILD_DIR, CONFIG.IMAGE_MANIFEST);
+  const content = JSON.stringify(manifest, null, 2);
+  await fs.writeFile(manifestPath, content, 'utf-8');
+
+  logger.info('Wrote image manifest', {
+    path: path.relative(CONFIG.SOURCE_DIR, manifestPath),
+    images: Object.keys(manifest).length,
+  });
+
+  return { path: manifestPath, size: Buffer.byteLength(content, 'utf-8') };
+}
+
+/**
+ * Rename a built file to name.<hash>.ext, moving its source map along
+ * @param {string} filePath - File in the build directory
+ * @returns {Promise<Object>} - { path, size } of the fingerprinted file
+ */
+async function fingerprintFile(filePath) {
+  const content = await fs.readFile(filePath);
+  const ext = path.extname(filePath);
+  const hashedPath = `${filePath.slice(0, -ext.length)}.${calculateHash(content)}${ext}`;
+  const mapPath = `${filePath}.map`;
+
+  let hasMap = true;
+  try {
+    await fs.access(mapPath);
+  } catch {
+    hasMap = false;
+  }
+
+  if (!hasMap) {
+    await fs.rename(filePath, hashedPath);
+    return { path: hashedPath, size: content.length };
+  }
+
+  // The hash covers the content as optimized; only the map comment changes
+  const mapName = `${path.basename(hashedPath)}.map`;
+  const output = content
+    .toString('utf-8')
+    .replace(/([#@] sourceMappingURL=)[^\s*]+/, `$1${mapName}`);
+
+  const map = JSON.parse(await fs.readFile(mapPath, 'utf-8'));
+  map.file = path.basename(hashedPath);
+
+  await fs.writeFile(hashedPath, output, 'utf-8');
+  await fs.writeFile(`${hashedPath}.map`, JSON.stringify(map), 'utf-8');
+  await Promise.all([fs.unlink(filePath), fs.unlink(mapPath)]);
+
+  return { path: hashedPath, size: Buffer.byteLength(output, 'utf-8') };
+}
+
+/**
+ * Fingerprint emitted images, CSS and JS, updating their result entries in
+ * place. Images go first so the CSS hashes cover rewritten url() references.
+ * @returns {Promise<Map>} - Original to fingerprinted path, relative to the root
+ */
+async function fingerprintAssets(results) {
+  const startTime = performance.now();
+  const assets = new Map();
+
+  const fingerprint = async (file) => {
+    try {
+      const original = toUrlPath(file.path);
+      const hashed = await fingerprintFile(file.path);
+
+      assets.set(original, toUrlPath(hashed.path));
+      file.path = hashed.path;
+      file.size = hashed.size;
+    } catch (error) {
+      logger.error('Fingerprinting failed', error, { path: file.path });
+      results.errors.push({
+        type: 'fingerprint',
+        path: file.path,
+        error: error.message,
+      });
+    }
+  };
+
+  for (const file of results.images) {
+    await fingerprint(file);
+  }
+
+  for (const file of results.css) {
+    const relativePath = toUrlPath(file.path);
+    const references = { count: 0 };
+
+    try {
+      const css = await fs.readFile(file.path, 'utf-8');
+      const output = rewriteCssUrls(css, relativePath, assets, references);
+
+      if (references.count > 0) {
+        await fs.writeFile(file.path, output, 'utf-8');
+        logger.info('Rewrote CSS references', { path: relativePath, references: references.count });
+      }
+    } catch (error) {
+      logger.error('CSS reference rewriting failed', error, { path: file.path });
+      results.errors.push({
+        type: 'fingerprint',
+        path: file.path,
+        error: error.message,
+      });
+      continue;
+    }
+
+    await fingerprint(file);
+  }
+
+  for (const file of results.js) {
+    await fingerprint(file);
+  }
+
+  logger.info('Fingerprinted assets', {
+    count: assets.size,
+    duration: `${(performance.now() - startTime).toFixed(2)}ms`,
+  });
+
+  return assets;
+}
+
+async function writeAssetManifest(assets) {
+  const manifestPath = path.join(CONFIG.BUILD_DIR, CONFIG.ASSET_MANIFEST);
+  const manifest = Object.fromEntries(
+    Array.from(assets.entries()).sort(([a], [b]) => a.localeCompare(b))
+  );
+  const content = JSON.stringify(manifest, null, 2);
+  await fs.writeFile(manifestPath, content, 'utf-8');
+
+  logger.info('Wrote asset manifest', {
+    path: path.relative(CONFIG.SOURCE_DIR, manifestPath),
+    assets: assets.size,
+  });
+
+  return { path: manifestPath, size: Buffer.byteLength(content, 'utf-8') };
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Write .gz and .br siblings of a file, each only if it is smaller than the
+ * file itself (a stale sibling from an earlier build is removed otherwise)
+ * @returns {Promise<Object>} - { path, raw, gzip, brotli } sizes in bytes,
+ *   gzip/brotli null when that encoding was skipped
+ */
+async function compressFile(filePath) {
+  const content = await fs.readFile(filePath);
+
+  const [gzipped, brotlied] = await Promise.all([
+    gzip(content, { level: CONFIG.GZIP_LEVEL }),
+    brotliCompress(content, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+        [zlib.constants.BROTLI_PARAM_QUALITY]: CONFIG.BROTLI_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length,
+      },
+    }),
+  ]);
+
+  const report = { path: toUrlPath(filePath), raw: content.length, gzip: null, brotli: null };
+
+  for (const [key, extension, buffer] of [['gzip', '.gz', gzipped], ['brotli', '.br', brotlied]]) {
+    if (buffer.length < content.length) {
+      await fs.writeFile(`${filePath}${extension}`, buffer);
+      report[key] = buffer.length;
+    } else {
+      await removeFile(`${filePath}${extension}`);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Precompress this build's text outputs
+ * @returns {Promise<Object[]>} - compressFile() reports, sorted by path
+ */
+async function compressAssets(results) {
+  const startTime = performance.now();
+  const files = [...results.html, ...results.css, ...results.js, ...results.images, ...results.other]
+    .map((file) => file.path)
+    .filter((filePath) => COMPRESSIBLE_EXTENSIONS.has(path.extname(filePath).toLowerCase()))
+    .sort();
+
+  const reports = [];
+
+  for (const filePath of files) {
+    try {
+      reports.push(await compressFile(filePath));
+    } catch (error) {
+      logger.error('Compression failed', error, { path: filePath });
+      results.errors.push({
+        type: 'compression',
+        path: filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  logger.info('Compressed text assets', {
+    count: reports.length,
+    gzip: reports.filter((report) => report.gzip !== null).length,
+    brotli: reports.filter((report) => report.brotli !== null).length,
+    duration: `${(performance.now() - startTime).toFixed(2)}ms`,
+  });
+
+  return reports;
+}
+
+/**
+ * Per-file and total sizes as transferred: a skipped encoding is served raw
+ */
+function summarizeCompression(reports) {
+  const totals = { raw: 0, gzip: 0, brotli: 0 };
+
+  for (const report of reports) {
+    totals.raw += report.raw;
+    totals.gzip += report.gzip ?? report.raw;
+    totals.brotli += report.brotli ?? report.raw;
+  }
+
+  return { files: reports, totals };
+}
+
+// Optimizers run by the worker pool, by task type
+const ASSET_STAGES = Object.freeze({
+  image: {
+    results: 'images',
+    failure: 'Image optimization failed',
+    optimize(inputPath, cache) {
+      const relativePath = path.relative(CONFIG.SOURCE_DIR, inputPath);
+      const outputDir = path.join(CONFIG.BUILD_DIR, path.dirname(relativePath));
+
+      return withCache(cache, 'image', inputPath, outputDir, () => optimizeImage(inputPath, outputDir));
+    },
+  },
+  css: {
+    results: 'css',
+    failure: 'CSS optimization failed',
+    optimize(inputPath, cache, context = {}) {
+      const outputPath = path.join(CONFIG.BUILD_DIR, path.relative(CONFIG.SOURCE_DIR, inputPath));
+
+      // Purged output also depends on the pages and scripts
+      return withCache(cache, 'css', inputPath, path.dirname(outputPath), async () => [
+        await optimizeCSS(inputPath, outputPath, context.usedTokens),
+      ], context.usedTokensHash);
+    },
+  },
+  js: {
+    results: 'js',
+    failure: 'JavaScript optimization failed',
+    optimize(inputPath, cache) {
+      const outputPath = path.join(CONFIG.BUILD_DIR, path.relative(CONFIG.SOURCE_DIR, inputPath));
+
+      return withCache(cache, 'js', inputPath, path.dirname(outputPath), async () => [
+        await optimizeJS(inputPath, outputPath),
+      ]);
+    },
+  },
+});
+
+function getDefaultConcurrency() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Run tasks with at most `limit` in flight. Each task's log lines are held
+ * back until every earlier task has finished, so the log reads as if the
+ * tasks ran one after another.
+ * @param {Array} items - Task inputs
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} task - (item, index) => Promise
+ * @returns {Promise<Object[]>} - { value } or { error } per item, in input order
+ */
+async function runPool(items, limit, task) {
+  const outcomes = new Array(items.length);
+  const buffers = items.map(() => []);
+  let next = 0;
+  let flushed = 0;
+
+  const flush = () => {
+    while (flushed < items.length && outcomes[flushed]) {
+      buffers[flushed].forEach((write) => write());
+      buffers[flushed] = null;
+      flushed += 1;
+    }
+  };
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+
+      outcomes[index] = await logBuffer.run(buffers[index], async () => {
+        try {
+          return { value: await task(items[index], index) };
+        } catch (error) {
+          return { error };
+        }
+      });
+
+      flush();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+
+  return outcomes;
+}
+
+/**
+ * Optimize one source file; a failure is logged and rejected for the pool to
+ * record, without affecting the other tasks
+ * @param {Object} context - { usedTokens, usedTokensHash } to purge CSS with
+ * @returns {Promise<Object[]>} - Result entries
+ */
+async function optimizeAsset({ type, inputPath }, cache, context) {
+  const stage = ASSET_STAGES[type];
+
+  try {
+    return await stage.optimize(inputPath, cache, context);
+  } catch (error) {
+    logger.error(stage.failure, error, { path: inputPath });
+    throw error;
+  }
+}
+
+// Settings that change each optimizer's output, part of its cache keys
+const CACHE_SETTINGS = Object.freeze({
+  image: {
+    quality: CONFIG.IMAGE_QUALITY,
+    sizes: CONFIG.IMAGE_SIZES,
+    maxWidth: CONFIG.MAX_IMAGE_WIDTH,
+    avifEffort: CONFIG.AVIF_EFFORT,
+    formats: RASTER_OUTPUT_FORMATS,
+    pngquant: PNGQUANT_OPTIONS,
+    svgo: SVGO_PLUGINS,
+  },
+  css: { autoprefixer: AUTOPREFIXER_OPTIONS, cssnano: CSSNANO_OPTIONS },
+  js: { terser: TERSER_OPTIONS },
+});
+
+/**
+ * Create the incremental build cache
+ * @returns {Object} - { dir, hits, misses, used } where used holds the keys
+ *   this build read or wrote
+ */
+function createCache() {
+  return { dir: CONFIG.CACHE_DIR, hits: 0, misses: 0, used: new Set() };
+}
+
+function getCacheKey(stage, relativePath, content, inputs = null) {
+  return createHash('sha256')
+    .update(JSON.stringify({
+      version: CONFIG.CACHE_VERSION,
+      stage,
+      path: relativePath.split(path.sep).join('/'),
+      settings: CACHE_SETTINGS[stage],
+      inputs,
+    }))
+    .update(content)
+    .digest('hex');
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Copy a cache entry's files back into the output directory
+ * @returns {Promise<Object[]|null>} - Result entries, or null on a miss
+ */
+async function restoreFromCache(entryDir, outputDir) {
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(path.join(entryDir, 'entry.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  await ensureDirectory(outputDir);
+
+  return Promise.all(
+    entry.outputs.map(async ({ file, hasMap, ...meta }, index) => {
+      const outputPath = path.join(outputDir, file);
+      await fs.copyFile(path.join(entryDir, String(index)), outputPath);
+
+      if (hasMap) {
+        await fs.copyFile(path.join(entryDir, `${index}.map`), `${outputPath}.map`);
+      }
+
+      return { ...meta, path: outputPath };
+    })
+  );
+}
+
+/**
+ * Store an optimizer's outputs (and their source maps); entry.json is
+ * written last so an interrupted write is never restored
+ */
+async function writeToCache(entryDir, outputDir, outputs) {
+  await fs.rm(entryDir, { recursive: true, force: true });
+  await fs.mkdir(entryDir, { recursive: true });
+
+  const entries = await Promise.all(
+    outputs.map(async ({ path: outputPath, ...meta }, index) => {
+      const hasMap = await fileExists(`${outputPath}.map`);
+      await fs.copyFile(outputPath, path.join(entryDir, String(index)));
+
+      if (hasMap) {
+        await fs.copyFile(`${outputPath}.map`, path.join(entryDir, `${index}.map`));
       }
+
+      return { ...meta, file: path.relative(outputDir, outputPath), hasMap };
+    })
+  );
+
+  await fs.writeFile(path.join(entryDir, 'entry.json'), JSON.stringify({ outputs: entries }), 'utf-8');
+}
+
+/**
+ * Run an optimizer, or restore its outputs when the same source content was
+ * optimized with the same settings before
+ * @param {Object|null} cache - From createCache(), or null to always run
+ * @param {string} stage - Key of CACHE_SETTINGS
+ * @param {Function} optimize - () => Promise of result entries ({ path, ... })
+ * @param {string} [inputs] - Digest of anything else the output depends on
+ * @returns {Promise<Object[]>} - Result entries
+ */
+async function withCache(cache, stage, inputPath, outputDir, optimize, inputs = null) {
+  if (!cache) return optimize();
+
+  const relativePath = path.relative(CONFIG.SOURCE_DIR, inputPath);
+  const key = getCacheKey(stage, relativePath, await fs.readFile(inputPath), inputs);
+  const entryDir = path.join(cache.dir, key.slice(0, 2), key);
+  cache.used.add(key);
+
+  const restored = await restoreFromCache(entryDir, outputDir);
+  if (restored) {
+    cache.hits += 1;
+    logger.info('Restored from cache', { input: relativePath, files: restored.length });
+    return restored;
+  }
+
+  cache.misses += 1;
+  const outputs = await optimize();
+
+  try {
+    await writeToCache(entryDir, outputDir, outputs);
+  } catch (error) {
+    logger.warn('Could not write cache entry', { input: relativePath, error: error.message });
+  }
+
+  return outputs;
+}
+
+/**
+ * Remove cache entries this build did not use, so the cache stays the size
+ * of one build
+ */
+async function pruneCache(cache) {
+  let removed = 0;
+
+  for (const prefix of await fs.readdir(cache.dir).catch(() => [])) {
+    const prefixDir = path.join(cache.dir, prefix);
+
+    for (const key of await fs.readdir(prefixDir).catch(() => [])) {
+      if (cache.used.has(key)) continue;
+
+      await fs.rm(path.join(prefixDir, key), { recursive: true, force: true });
+      removed += 1;
     }
+  }
 
-    const jsFiles = await glob('**/*.js', {
+  if (removed > 0) {
+    logger.info('Pruned build cache', { removed });
+  }
+}
+
+function getAssetType(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.html') return 'html';
+  if (ext === '.css') return 'css';
+  if (ext === '.js') return 'js';
+  if (SUPPORTED_IMAGE_FORMATS.has(ext) || ext === '.avif') return 'image';
+  return null;
+}
+
+/**
+ * Transfer size of every file this build wrote, by path relative to the root
+ */
+function getTransferSizes(results) {
+  const sizes = new Map();
+
+  [...results.images, ...results.css, ...results.js, ...results.html, ...results.other].forEach((file) => {
+    sizes.set(toUrlPath(file.path), file.size);
+  });
+
+  results.compression.forEach((report) => {
+    const compressed = BUDGETS.encoding === 'raw' ? null : report[BUDGETS.encoding];
+    sizes.set(report.path, compressed ?? report.raw);
+  });
+
+  return sizes;
+}
+
+function parseCssLength(value, viewportWidth) {
+  const match = value.trim().match(/^([\d.]+)(px|vw|em|rem)$/i);
+  if (!match) return viewportWidth;
+
+  const number = Number(match[1]);
+  const unit = match[2].toLowerCase();
+  return unit === 'vw' ? (number * viewportWidth) / 100 : unit === 'px' ? number : number * 16;
+}
+
+function matchesMediaCondition(condition, viewportWidth) {
+  return condition.split(/\s+and\s+/i).every((part) => {
+    const match = part.match(/\(\s*(min|max)-width\s*:\s*([^)]+)\)/i);
+    if (!match) return false;
+
+    const width = parseCssLength(match[2], viewportWidth);
+    return match[1].toLowerCase() === 'min' ? viewportWidth >= width : viewportWidth <= width;
+  });
+}
+
+/**
+ * Slot width of an image from its sizes attribute (min/max-width conditions
+ * and px, vw or em lengths; anything else counts as the full viewport)
+ */
+function getSlotWidth(sizes, viewportWidth) {
+  for (const entry of (sizes || '100vw').split(',')) {
+    const match = entry.trim().match(/^(\(.*\))\s+(\S+)$/);
+
+    if (!match) return parseCssLength(entry, viewportWidth);
+    if (matchesMediaCondition(match[1], viewportWidth)) return parseCssLength(match[2], viewportWidth);
+  }
+
+  return viewportWidth;
+}
+
+/**
+ * The srcset candidate a browser would pick for a viewport: the smallest at
+ * least as wide as the slot times the device pixel ratio, else the widest
+ */
+function selectImageCandidate(attributes, viewport) {
+  const get = (name) => attributes.find((attr) => attr.name === name)?.value;
+  const srcset = get('srcset') || get('data-srcset');
+  const src = get('src') || get('data-src');
+
+  const candidates = (srcset || '')
+    .split(',')
+    .map((candidate) => candidate.trim().split(/\s+/))
+    .filter(([url]) => url)
+    .map(([url, descriptor = '1x']) => ({
+      url,
+      width: descriptor.endsWith('w') ? Number.parseFloat(descriptor) : null,
+      density: descriptor.endsWith('x') ? Number.parseFloat(descriptor) : null,
+    }));
+
+  if (candidates.length === 0) return src;
+
+  if (candidates.every((candidate) => candidate.width)) {
+    const needed = getSlotWidth(get('sizes') || get('data-sizes'), viewport.width) * viewport.dpr;
+    const sorted = candidates.sort((a, b) => a.width - b.width);
+    return (sorted.find((candidate) => candidate.width >= needed) || sorted[sorted.length - 1]).url;
+  }
+
+  const sorted = candidates.filter((candidate) => candidate.density).sort((a, b) => a.density - b.density);
+  return (sorted.find((candidate) => candidate.density >= viewport.dpr) || sorted[sorted.length - 1] || { url: src }).url;
+}
+
+// Markup whose resources a page does not load (<noscript> repeats lazy images)
+const PAGE_SKIP_PATTERN = /<!--[\s\S]*?-->|<(noscript|template)\b[\s\S]*?<\/\1\s*>/gi;
+const PAGE_TAG_PATTERN = /<(link|script|img)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+
+/**
+ * Measure what a built page loads
+ * @param {string} html - Built page
+ * @param {string} pagePath - Path relative to the build directory
+ * @param {Map} sizes - From getTransferSizes()
+ * @returns {Object} - { types, pageWeight, criticalPath, images } where
+ *   images maps viewport width to image bytes
+ */
+function measurePage(html, pagePath, sizes) {
+  const headEnd = html.search(/<\/head\s*>/i);
+  const resources = new Map([[pagePath, { type: 'html', critical: true }]]);
+  const images = [];
+
+  const addResource = (url, critical) => {
+    const resolved = resolveLocalUrl(url, pagePath);
+    if (!resolved || !sizes.has(resolved.key)) return;
+
+    const existing = resources.get(resolved.key);
+    resources.set(resolved.key, {
+      type: getAssetType(resolved.key),
+      critical: Boolean(existing?.critical || critical),
+    });
+  };
+
+  const markup = html.replace(PAGE_SKIP_PATTERN, (match) => ' '.repeat(match.length));
+
+  for (const match of markup.matchAll(PAGE_TAG_PATTERN)) {
+    const tag = match[1].toLowerCase();
+    const attributes = parseAttributes(match[2].replace(/\/\s*$/, ''));
+    const get = (name) => attributes.find((attr) => attr.name === name)?.value;
+    const inHead = headEnd !== -1 && match.index < headEnd;
+
+    if (tag === 'link') {
+      const rel = (get('rel') || '').toLowerCase().split(/\s+/);
+      const media = (get('media') || 'all').toLowerCase();
+
+      if (rel.includes('stylesheet')) {
+        addResource(get('href'), media !== 'print' && !rel.includes('alternate'));
+      } else if (rel.includes('preload') || rel.includes('modulepreload')) {
+        addResource(get('href'), true);
+      }
+    } else if (tag === 'script' && get('src')) {
+      const isDeferred = get('async') !== undefined || get('defer') !== undefined || get('type') === 'module';
+      addResource(get('src'), inHead && !isDeferred);
+    } else if (tag === 'img') {
+      images.push(attributes);
+    }
+  }
+
+  const sizeOf = (url) => {
+    const resolved = resolveLocalUrl(url, pagePath);
+    return (resolved && sizes.get(resolved.key)) || 0;
+  };
+
+  const imageBytes = Object.fromEntries(
+    BUDGETS.viewports.map((viewport) => [
+      viewport.width,
+      images.reduce((sum, attributes) => sum + sizeOf(selectImageCandidate(attributes, viewport) || ''), 0),
+    ])
+  );
+
+  const types = { html: 0, css: 0, js: 0, image: Math.max(0, ...Object.values(imageBytes)) };
+  let criticalPath = 0;
+
+  resources.forEach(({ type, critical }, key) => {
+    const size = sizes.get(key);
+    if (type && type !== 'image') types[type] += size;
+    if (critical) criticalPath += size;
+  });
+
+  return {
+    types,
+    pageWeight: Object.values(types).reduce((sum, size) => sum + size, 0),
+    criticalPath,
+    images: imageBytes,
+  };
+}
+
+/**
+ * Check every built page against BUDGETS
+ * @returns {Promise<Object>} - { passed, encoding, pages, budgets } where
+ *   budgets lists each check as { budget, page, limit, actual, difference, passed }
+ */
+async function evaluateBudgets(results) {
+  const sizes = getTransferSizes(results);
+  const report = { passed: true, encoding: BUDGETS.encoding, pages: {}, budgets: [] };
+
+  const check = (budget, page, limit, actual) => {
+    const passed = actual <= limit;
+    report.budgets.push({ budget, page, limit, actual, difference: actual - limit, passed });
+    report.passed &&= passed;
+  };
+
+  for (const file of results.html) {
+    const page = toUrlPath(file.path);
+    const measured = measurePage(await fs.readFile(file.path, 'utf-8'), page, sizes);
+    report.pages[page] = measured;
+
+    Object.entries(BUDGETS.types).forEach(([type, limit]) => check(`types.${type}`, page, limit, measured.types[type]));
+    check('pageWeight', page, BUDGETS.pageWeight, measured.pageWeight);
+    check('criticalPath', page, BUDGETS.criticalPath, measured.criticalPath);
+    BUDGETS.viewports.forEach((viewport) =>
+      check(`images@${viewport.width}px`, page, viewport.maxImageBytes, measured.images[viewport.width])
+    );
+  }
+
+  return report;
+}
+
+function formatBytes(bytes) {
+  return Math.abs(bytes) < KB ? `${bytes} B` : `${(bytes / KB).toFixed(1)} KB`;
+}
+
+/**
+ * Log the outcome of every budget (failures with how far over they are) and
+ * write the report next to the build for tracking over time
+ */
+async function reportBudgets(report) {
+  for (const result of report.budgets) {
+    if (result.passed) continue;
+
+    logger.error('Performance budget exceeded', null, {
+      budget: result.budget,
+      page: result.page,
+      diff: `${formatBytes(result.actual)} > ${formatBytes(result.limit)} (+${formatBytes(result.difference)}, +${((result.difference / result.limit) * 100).toFixed(1)}%)`,
+      actual: result.actual,
+      limit: result.limit,
+    });
+  }
+
+  const reportPath = path.join(CONFIG.BUILD_DIR, CONFIG.BUDGET_REPORT);
+  await fs.writeFile(
+    reportPath,
+    JSON.stringify({ timestamp: new Date().toISOString(), ...report }, null, 2),
+    'utf-8'
+  );
+
+  logger.info(report.passed ? 'Performance budgets met' : 'Performance budgets failed', {
+    checked: report.budgets.length,
+    failed: report.budgets.filter((result) => !result.passed).length,
+    report: path.relative(CONFIG.SOURCE_DIR, reportPath),
+  });
+}
+
+function findHtmlFiles() {
+  return glob('**/*.html', {
+    cwd: CONFIG.SOURCE_DIR,
+    ignore: ['node_modules/**', 'dist/**', 'build/**', '.git/**', 'server/**'],
+    absolute: true,
+  }).then((files) => files.sort());
+}
+
+/**
+ * Build everything into the build directory
+ * @param {Object} options - From parseArguments(); with watch set, files
+ *   keep their source names, CSS is neither purged nor inlined and nothing
+ *   is precompressed
+ * @returns {Promise<Object>} - Result entries per category, errors and the
+ *   image manifest
+ */
+async function processAssets(options = {}) {
+  const startTime = performance.now();
+  const results = {
+    images: [],
+    css: [],
+    js: [],
+    html: [],
+    other: [],
+    compression: [],
+    errors: [],
+  };
+
+  try {
+    logger.info('Starting asset optimization', {
+      buildDir: CONFIG.BUILD_DIR,
+      sourceDir: CONFIG.SOURCE_DIR,
+    });
+
+    await ensureDirectory(CONFIG.BUILD_DIR);
+
+    const isDevelopment = Boolean(options.watch);
+    const cache = options.cache === false ? null : createCache();
+    logger.info(cache ? 'Using build cache' : 'Build cache disabled', {
+      cacheDir: path.relative(CONFIG.SOURCE_DIR, CONFIG.CACHE_DIR),
+    });
+
+    const imagePatterns = Array.from(SUPPORTED_IMAGE_FORMATS).map(
+      (ext) => `**/*${ext}`
+    );
+    const imageFiles = (await glob(imagePatterns, {
+      cwd: CONFIG.SOURCE_DIR,
+      ignore: ['node_modules/**', 'dist/**', 'build/**', '.git/**'],
+      absolute: true,
+    })).sort();
+
+    logger.info('Found images to optimize', { count: imageFiles.length });
+
+    const cssFiles = (await glob('**/*.css', {
+      cwd: CONFIG.SOURCE_DIR,
+      ignore: ['node_modules/**', 'dist/**', 'build/**', '.git/**'],
+      absolute: true,
+    })).sort();
+
+    logger.info('Found CSS files to optimize', { count: cssFiles.length });
+
+    const jsFiles = (await glob('**/*.js', {
       cwd: CONFIG.SOURCE_DIR,
       ignore: [
         'node_modules/**',
@@ -468,54 +2225,115 @@ async function processAssets() {
         'build/**',
         '.git/**',
         'scripts/**',
+        'server/**',
+        'test/**',
       ],
       absolute: true,
-    });
+    })).sort();
 
     logger.info('Found JavaScript files to optimize', { count: jsFiles.length });
 
-    for (const jsPath of jsFiles) {
+    // Results and log lines keep this order whatever order tasks finish in
+    const tasks = [
+      ...imageFiles.map((inputPath) => ({ type: 'image', inputPath })),
+      ...cssFiles.map((inputPath) => ({ type: 'css', inputPath })),
+      ...jsFiles.map((inputPath) => ({ type: 'js', inputPath })),
+    ];
+    const concurrency = options.concurrency || getDefaultConcurrency();
+
+    // Rebuilding one file can't tell whether a selector became used elsewhere
+    const context = {};
+    if (!isDevelopment) {
+      context.usedTokens = await collectContentTokens();
+      context.usedTokensHash = calculateHash(Array.from(context.usedTokens).sort().join('\n'));
+    }
+
+    logger.info('Optimizing assets', { tasks: tasks.length, concurrency });
+
+    const outcomes = await runPool(tasks, concurrency, (task) => optimizeAsset(task, cache, context));
+
+    outcomes.forEach((outcome, index) => {
+      const { type, inputPath } = tasks[index];
+
+      if (outcome.error) {
+        results.errors.push({
+          type,
+          path: inputPath,
+          error: outcome.error.message,
+        });
+        return;
+      }
+
+      results[ASSET_STAGES[type].results].push(...outcome.value);
+    });
+
+    // Renames files, so the manifests and HTML are written afterwards.
+    // Watch mode rebuilds single files, so it keeps the source names.
+    const assetManifest = isDevelopment ? new Map() : await fingerprintAssets(results);
+
+    const imageManifest = buildImageManifest(results.images);
+    results.other.push(await writeImageManifest(imageManifest));
+
+    const htmlFiles = await findHtmlFiles();
+
+    logger.info('Found HTML files to transform', { count: htmlFiles.length });
+
+    for (const htmlPath of htmlFiles) {
       try {
-        const relativePath = path.relative(CONFIG.SOURCE_DIR, jsPath);
+        const relativePath = path.relative(CONFIG.SOURCE_DIR, htmlPath);
         const outputPath = path.join(CONFIG.BUILD_DIR, relativePath);
 
-        const optimized = await optimizeJS(jsPath, outputPath);
-        results.js.push(optimized);
+        const transformed = await transformHTML(htmlPath, outputPath, {
+          images: imageManifest,
+          assets: assetManifest,
+        }, { criticalCss: !isDevelopment });
+        results.html.push(transformed);
       } catch (error) {
-        logger.error('JavaScript optimization failed', error, { path: jsPath });
+        logger.error('HTML transform failed', error, { path: htmlPath });
         results.errors.push({
-          type: 'js',
-          path: jsPath,
+          type: 'html',
+          path: htmlPath,
           error: error.message,
         });
       }
     }
 
-    const htmlFiles = await glob('**/*.html', {
+    // Static data the page fetches at runtime (e.g. a meeting slots feed)
+    const dataFiles = await glob('data/**/*.json', {
       cwd: CONFIG.SOURCE_DIR,
-      ignore: ['node_modules/**', 'dist/**', 'build/**', '.git/**'],
       absolute: true,
     });
 
-    logger.info('Found HTML files to copy', { count: htmlFiles.length });
+    logger.info('Found data files to copy', { count: dataFiles.length });
 
-    for (const htmlPath of htmlFiles) {
+    for (const dataPath of dataFiles) {
       try {
-        const relativePath = path.relative(CONFIG.SOURCE_DIR, htmlPath);
+        const relativePath = path.relative(CONFIG.SOURCE_DIR, dataPath);
         const outputPath = path.join(CONFIG.BUILD_DIR, relativePath);
 
-        const copied = await copyFile(htmlPath, outputPath);
-        results.html.push(copied);
+        const copied = await copyFile(dataPath, outputPath);
+        results.other.push(copied);
       } catch (error) {
-        logger.error('HTML copy failed', error, { path: htmlPath });
+        logger.error('Data file copy failed', error, { path: dataPath });
         results.errors.push({
-          type: 'html',
-          path: htmlPath,
+          type: 'data',
+          path: dataPath,
           error: error.message,
         });
       }
     }
 
+    if (!isDevelopment) {
+      results.other.push(await writeAssetManifest(assetManifest));
+      results.compression = await compressAssets(results);
+      results.budgets = await evaluateBudgets(results);
+      await reportBudgets(results.budgets);
+    }
+
+    if (cache) {
+      await pruneCache(cache);
+    }
+
     const duration = performance.now() - startTime;
 
     const summary = {
@@ -536,9 +2354,18 @@ async function processAssets() {
         count: results.html.length,
         totalSize: results.html.reduce((sum, f) => sum + f.size, 0),
       },
+      other: {
+        count: results.other.length,
+        totalSize: results.other.reduce((sum, f) => sum + f.size, 0),
+      },
+      cache: cache ? { hits: cache.hits, misses: cache.misses } : { disabled: true },
+      compression: summarizeCompression(results.compression),
+      budgets: results.budgets ? { passed: results.budgets.passed } : { skipped: true },
       errors: results.errors.length,
     };
 
+    results.imageManifest = imageManifest;
+
     logger.info('Asset optimization completed', summary);
 
     if (results.errors.length > 0) {
@@ -555,17 +2382,390 @@ async function processAssets() {
   }
 }
 
+const CONTENT_TYPES = Object.freeze({
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+});
+
+// Served at LIVE_RELOAD_PATH.js and added to every HTML page; stylesheet
+// changes are swapped in place, anything else reloads the page
+const LIVE_RELOAD_CLIENT = `(function () {
+  var source = new EventSource('${CONFIG.LIVE_RELOAD_PATH}');
+  source.addEventListener('reload', function () {
+    window.location.reload();
+  });
+  source.addEventListener('css', function () {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(function (link) {
+      var url = new URL(link.href);
+      url.searchParams.set('livereload', Date.now());
+      link.href = url.href;
+    });
+  });
+})();
+`;
+
+function injectLiveReload(html) {
+  const tag = `<script src="${CONFIG.LIVE_RELOAD_PATH}.js"></script>`;
+  const index = html.lastIndexOf('</body>');
+
+  return index === -1 ? html + tag : html.slice(0, index) + tag + html.slice(index);
+}
+
+/**
+ * Serve the build directory with live reload over server-sent events
+ * @param {Object} options - { host, port }
+ * @returns {Promise<Object>} - { notify(event), close() }
+ */
+function startDevServer({ host, port }) {
+  const clients = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://dev.local');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    if (pathname === CONFIG.LIVE_RELOAD_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive',
+      });
+      res.write('retry: 1000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    if (pathname === `${CONFIG.LIVE_RELOAD_PATH}.js`) {
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.js'], 'Cache-Control': 'no-store' });
+      res.end(LIVE_RELOAD_CLIENT);
+      return;
+    }
+
+    try {
+      let filePath = path.join(CONFIG.BUILD_DIR, path.normalize(decodeURIComponent(pathname)));
+
+      if (filePath !== CONFIG.BUILD_DIR && !filePath.startsWith(CONFIG.BUILD_DIR + path.sep)) {
+        throw Object.assign(new Error('Outside the build directory'), { code: 'ENOENT' });
+      }
+
+      if ((await fs.stat(filePath)).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+      }
+
+      const ext = path.extname(filePath).toLowerCase();
+      let body = await fs.readFile(filePath);
+
+      if (ext === '.html') {
+        body = injectLiveReload(body.toString('utf-8'));
+      }
+
+      res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream',
+        'Cache-Control': 'no-store',
+      });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+      const status = error.code === 'ENOENT' || error.code === 'ENOTDIR' || error instanceof URIError ? 404 : 500;
+
+      if (status === 500) {
+        logger.error('Dev server request failed', error, { path: pathname });
+      }
+
+      res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.txt'] });
+      res.end(status === 404 ? 'Not found' : 'Internal server error');
+    }
+  });
+
+  // Keeps idle event streams open through proxies
+  const heartbeat = setInterval(() => {
+    clients.forEach((client) => client.write(': heartbeat\n\n'));
+  }, CONFIG.LIVE_RELOAD_HEARTBEAT);
+  heartbeat.unref();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      logger.info('Dev server listening', { url: `http://${host}:${port}/` });
+
+      resolve({
+        notify(event) {
+          clients.forEach((client) => client.write(`event: ${event}\ndata: {}\n\n`));
+          logger.info('Sent live reload', { event, clients: clients.size });
+        },
+        close() {
+          clearInterval(heartbeat);
+          clients.forEach((client) => client.end());
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Which optimizer a changed source file needs, if any
+ * @param {string} relativePath - Path relative to the source directory
+ * @returns {string|null} - "image", "css", "js" or "html"
+ */
+function getWatchTarget(relativePath) {
+  const [topLevel] = relativePath.split(path.sep);
+  const ext = path.extname(relativePath).toLowerCase();
+
+  if (topLevel === 'images' && SUPPORTED_IMAGE_FORMATS.has(ext)) return 'image';
+  if (topLevel === 'styles' && ext === '.css') return 'css';
+  if (topLevel === 'js' && ext === '.js') return 'js';
+  if (ext === '.html' && !relativePath.includes(path.sep)) return 'html';
+  return null;
+}
+
+async function removeOutputs(filePaths) {
+  await Promise.all(filePaths.flatMap((filePath) => [removeFile(filePath), removeFile(`${filePath}.map`)]));
+}
+
+/**
+ * Rebuild the given source files with their own optimizer; image changes
+ * also rewrite the image manifest and the HTML that uses it
+ * @param {Object} state - { results, imageManifest, cache } from the last build
+ * @param {string[]} changed - Paths relative to the source directory
+ * @returns {Promise<string>} - Live reload event: "css" or "reload"
+ */
+async function rebuildChanged(state, changed) {
+  const targets = changed.map((relativePath) => ({ relativePath, type: getWatchTarget(relativePath) }));
+  const htmlPaths = new Set();
+  let imagesChanged = false;
+
+  for (const { relativePath, type } of targets) {
+    const inputPath = path.join(CONFIG.SOURCE_DIR, relativePath);
+    const outputPath = path.join(CONFIG.BUILD_DIR, relativePath);
+    const exists = await fileExists(inputPath);
+
+    if (type === 'html') {
+      htmlPaths.add(inputPath);
+      continue;
+    }
+
+    if (type === 'image') {
+      const previous = state.results.images.filter((image) => image.source === relativePath);
+      const optimized = exists ? await ASSET_STAGES.image.optimize(inputPath, state.cache) : [];
+      const kept = new Set(optimized.map((image) => image.path));
+
+      await removeOutputs(previous.map((image) => image.path).filter((filePath) => !kept.has(filePath)));
+      state.results.images = state.results.images
+        .filter((image) => image.source !== relativePath)
+        .concat(optimized);
+      imagesChanged = true;
+      continue;
+    }
+
+    if (exists) {
+      await ASSET_STAGES[type].optimize(inputPath, state.cache);
+    } else {
+      await removeOutputs([outputPath]);
+    }
+  }
+
+  if (imagesChanged) {
+    state.imageManifest = buildImageManifest(state.results.images);
+    await writeImageManifest(state.imageManifest);
+    (await findHtmlFiles()).forEach((htmlPath) => htmlPaths.add(htmlPath));
+  }
+
+  for (const htmlPath of htmlPaths) {
+    const outputPath = path.join(CONFIG.BUILD_DIR, path.relative(CONFIG.SOURCE_DIR, htmlPath));
+
+    if (await fileExists(htmlPath)) {
+      await transformHTML(htmlPath, outputPath, { images: state.imageManifest, assets: new Map() });
+    } else {
+      await removeOutputs([outputPath]);
+    }
+  }
+
+  return targets.every(({ type }) => type === 'css') ? 'css' : 'reload';
+}
+
+/**
+ * Watch the sources, rebuild what changed and tell the dev server's pages
+ * @param {Object} options - From parseArguments()
+ * @param {Object} results - From processAssets()
+ */
+async function watchAssets(options, results) {
+  const state = {
+    results,
+    imageManifest: results.imageManifest,
+    cache: options.cache === false ? null : createCache(),
+  };
+  const server = await startDevServer({ host: CONFIG.DEV_SERVER_HOST, port: options.port });
+  const pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const rebuild = async () => {
+    const changed = Array.from(pending).sort();
+    pending.clear();
+
+    const startTime = performance.now();
+
+    try {
+      const event = await rebuildChanged(state, changed);
+
+      logger.info('Rebuilt changed files', {
+        files: changed,
+        duration: `${(performance.now() - startTime).toFixed(2)}ms`,
+      });
+      server.notify(event);
+    } catch (error) {
+      logger.error('Rebuild failed', error, { files: changed });
+    }
+  };
+
+  const queue = (relativePath) => {
+    if (!getWatchTarget(relativePath)) return;
+
+    pending.add(relativePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = running.then(rebuild);
+    }, CONFIG.WATCH_DEBOUNCE);
+  };
+
+  const watchers = new Map();
+  const watchDirectory = async (relativeDir, recursive) => {
+    if (watchers.has(relativeDir)) return;
+
+    const directory = path.join(CONFIG.SOURCE_DIR, relativeDir);
+    const onChange = (event, filename) => {
+      if (!filename) return;
+
+      const relativePath = path.join(relativeDir, filename.toString());
+
+      // Without recursive watching, directories created later need their own watcher
+      if (recursive === 'manual' && event === 'rename') {
+        fs.stat(path.join(CONFIG.SOURCE_DIR, relativePath))
+          .then((stats) => stats.isDirectory() && watchDirectory(relativePath, 'manual'))
+          .catch(() => {});
+      }
+      queue(relativePath);
+    };
+
+    try {
+      watchers.set(relativeDir, watch(directory, { recursive: recursive === true }, onChange));
+    } catch (error) {
+      // Recursive fs.watch needs Node 20 on Linux; walk the tree ourselves instead
+      if (recursive === true && error.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        await watchDirectory(relativeDir, 'manual');
+        return;
+      }
+      logger.warn('Cannot watch directory', { path: relativeDir, error: error.message });
+      return;
+    }
+
+    if (recursive !== 'manual') return;
+
+    const entries = await fs.readdir(directory, { withFileTypes: true }).catch(() => []);
+    await Promise.all(
+      entries
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => watchDirectory(path.join(relativeDir, entry.name), 'manual'))
+    );
+  };
+
+  await Promise.all(CONFIG.WATCH_DIRS.map((dir) => watchDirectory(dir, true)));
+  await watchDirectory('', false);
+
+  logger.info('Watching for changes', { directories: CONFIG.WATCH_DIRS, html: true });
+
+  const shutdown = async () => {
+    logger.info('Stopping watch mode');
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+    await running;
+    await server.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+/**
+ * Parse command line flags
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} - { cache, concurrency, watch, port }
+ */
+function parseArguments(args) {
+  const usage = 'node build/optimize.js [--no-cache] [--concurrency <n>] [--watch [--port <n>]]';
+  const options = {
+    cache: true,
+    concurrency: getDefaultConcurrency(),
+    watch: false,
+    port: CONFIG.DEV_SERVER_PORT,
+  };
+
+  const readInteger = (flag, value, min, max) => {
+    const number = Number(value);
+
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new OptimizationError(`Invalid ${flag.slice(2)}: ${value}`, null, { usage });
+    }
+
+    return number;
+  };
+
+  for (let i = 0; i < args.length; i += 1) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+
+    if (flag === '--no-cache') {
+      options.cache = false;
+    } else if (flag === '--watch') {
+      options.watch = true;
+    } else if (flag === '--concurrency') {
+      options.concurrency = readInteger(flag, inlineValue ?? args[++i], 1, Infinity);
+    } else if (flag === '--port') {
+      options.port = readInteger(flag, inlineValue ?? args[++i], 1, 65535);
+    } else {
+      throw new OptimizationError(`Unknown option: ${args[i]}`, null, { usage });
+    }
+  }
+
+  return options;
+}
+
 async function main() {
   try {
-    logger.info('Build optimization started');
+    const options = parseArguments(process.argv.slice(2));
 
-    const results = await processAssets();
+    logger.info('Build optimization started', options);
+
+    const results = await processAssets(options);
+
+    if (options.watch) {
+      await watchAssets(options, results);
+      return;
+    }
 
     const hasErrors = results.errors.length > 0;
-    const exitCode = hasErrors ? 1 : 0;
+    const exitCode = hasErrors || !results.budgets.passed ? 1 : 0;
 
     logger.info('Build optimization finished', {
-      success: !hasErrors,
+      success: exitCode === 0,
+      budgetsPassed: results.budgets.passed,
       exitCode,
     });
 
@@ -0,0 +1,275 @@
+/**
+ * Analytics Event Bus
+ *
+ * Small shared dispatcher that the contact form, lazy loader and animations
+ * modules publish typed events to. Events are routed to pluggable sinks and
+ * are only delivered once the visitor's consent allows it.
+ *
+ * Features:
+ * - Typed events (unknown event types are rejected)
+ * - Built-in sinks: GA4 (gtag), Plausible, local beacon endpoint, console
+ * - Custom sinks via LagosAnalytics.registerSink() (active once registered)
+ * - Consent flag, persisted in localStorage; events raised before consent
+ *   is granted are held in a small buffer and dropped if it is denied
+ *
+ * Configuration (attributes on the <script> tag that loads this file):
+ * - data-sinks: space-separated sink names (default "ga4 plausible")
+ * - data-beacon-endpoint: URL used by the "beacon" sink
+ * - data-consent: "granted" to allow tracking when nothing is stored;
+ *   anything else (including no attribute) means denied until
+ *   LagosAnalytics.setConsent(true) is called
+ *
+ * @module analytics
+ */
+
+(function() {
+  'use strict';
+
+  // Configuration
+  const CONFIG = Object.freeze({
+    CONSENT_STORAGE_KEY: 'lsc-analytics-consent',
+    DEFAULT_SINKS: ['ga4', 'plausible'],
+    PENDING_BUFFER_SIZE: 50,
+    BEACON_BATCH_SIZE: 10,
+  });
+
+  /**
+   * Known event types and the category each one reports under
+   */
+  const EVENT_TYPES = Object.freeze({
+    form_start: 'contact',
+    field_error: 'contact',
+    submit: 'contact',
+    success: 'contact',
+    error: 'contact',
+    meeting_offered: 'contact',
+    meeting_booked: 'contact',
+    card_expand: 'services',
+    image_failed: 'performance',
+  });
+
+  // Settings read from the <script> tag
+  const script = document.currentScript;
+  const settings = Object.freeze({
+    sinks: (script?.getAttribute('data-sinks') || CONFIG.DEFAULT_SINKS.join(' '))
+      .split(/\s+/)
+      .filter(Boolean),
+    beaconEndpoint: script?.getAttribute('data-beacon-endpoint') || '',
+    defaultConsent: script?.getAttribute('data-consent') === 'granted',
+  });
+
+  // Registered sinks, keyed by name, and the names events are routed to
+  const sinks = new Map();
+  const activeSinks = new Set(settings.sinks);
+
+  // State management
+  const state = {
+    consent: readStoredConsent(),
+    pending: [],
+    beaconQueue: [],
+  };
+
+  /**
+   * Read the stored consent decision
+   * @returns {boolean} - True if tracking is allowed
+   */
+  function readStoredConsent() {
+    try {
+      const stored = localStorage.getItem(CONFIG.CONSENT_STORAGE_KEY);
+
+      if (stored === 'granted' || stored === 'denied') {
+        return stored === 'granted';
+      }
+    } catch {
+      // localStorage unavailable; fall back to the configured default
+    }
+
+    return settings.defaultConsent;
+  }
+
+  /**
+   * Register an analytics sink
+   * @param {string} name - Sink name used in data-sinks
+   * @param {Object} sink - Object with send(event)
+   */
+  function registerSink(name, sink) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('Sink name must be a non-empty string');
+    }
+
+    if (!sink || typeof sink.send !== 'function') {
+      throw new TypeError(`Sink "${name}" must implement send()`);
+    }
+
+    sinks.set(name, sink);
+  }
+
+  /**
+   * Publish an event
+   * @param {string} type - Event type (see EVENT_TYPES)
+   * @param {Object} properties - Event properties (never form field values)
+   * @returns {boolean} - False if the event type is unknown
+   */
+  function track(type, properties = {}) {
+    if (!Object.prototype.hasOwnProperty.call(EVENT_TYPES, type)) {
+      console.warn('[Analytics] Unknown event type', type);
+      return false;
+    }
+
+    const event = Object.freeze({
+      type,
+      category: EVENT_TYPES[type],
+      timestamp: new Date().toISOString(),
+      page: window.location.pathname,
+      properties: { ...properties },
+    });
+
+    if (state.consent) {
+      dispatch(event);
+    } else if (state.pending.length < CONFIG.PENDING_BUFFER_SIZE) {
+      state.pending.push(event);
+    }
+
+    return true;
+  }
+
+  /**
+   * Deliver an event to every active sink
+   * @param {Object} event - Event to deliver
+   */
+  function dispatch(event) {
+    activeSinks.forEach(name => {
+      const sink = sinks.get(name);
+
+      if (!sink) return;
+
+      try {
+        sink.send(event);
+      } catch (error) {
+        console.error(`[Analytics] Sink "${name}" failed`, error);
+      }
+    });
+  }
+
+  /**
+   * Grant or deny analytics consent
+   * @param {boolean} granted - Consent decision
+   */
+  function setConsent(granted) {
+    state.consent = Boolean(granted);
+
+    try {
+      localStorage.setItem(CONFIG.CONSENT_STORAGE_KEY, state.consent ? 'granted' : 'denied');
+    } catch {
+      // Not persisted; the decision still applies to this page view
+    }
+
+    const pending = state.pending;
+    state.pending = [];
+
+    if (state.consent) {
+      pending.forEach(dispatch);
+    }
+  }
+
+  /**
+   * GA4 sink (requires gtag on the page)
+   */
+  const ga4Sink = Object.freeze({
+    send(event) {
+      if (typeof window.gtag !== 'function') return;
+
+      window.gtag('event', event.type, {
+        event_category: event.category,
+        ...event.properties,
+      });
+    },
+  });
+
+  /**
+   * Plausible sink (requires the Plausible script on the page)
+   */
+  const plausibleSink = Object.freeze({
+    send(event) {
+      if (typeof window.plausible !== 'function') return;
+
+      window.plausible(event.type, {
+        props: { category: event.category, ...event.properties },
+      });
+    },
+  });
+
+  /**
+   * Beacon sink: batches events and posts them to our own endpoint
+   */
+  const beaconSink = Object.freeze({
+    send(event) {
+      if (!settings.beaconEndpoint) return;
+
+      state.beaconQueue.push(event);
+
+      if (state.beaconQueue.length >= CONFIG.BEACON_BATCH_SIZE) {
+        flushBeacon();
+      }
+    },
+  });
+
+  /**
+   * Console sink for local debugging
+   */
+  const consoleSink = Object.freeze({
+    send(event) {
+      console.log('[Analytics]', event.type, event);
+    },
+  });
+
+  /**
+   * Send queued beacon events
+   */
+  function flushBeacon() {
+    if (state.beaconQueue.length === 0 || !settings.beaconEndpoint) return;
+
+    const body = JSON.stringify({ events: state.beaconQueue });
+    state.beaconQueue = [];
+
+    const blob = new Blob([body], { type: 'application/json' });
+
+    if (navigator.sendBeacon && navigator.sendBeacon(settings.beaconEndpoint, blob)) {
+      return;
+    }
+
+    fetch(settings.beaconEndpoint, {
+      method: 'POST',
+      body,
+      headers: { 'Content-Type': 'application/json' },
+      keepalive: true,
+    }).catch(error => {
+      console.warn('[Analytics] Beacon delivery failed', error);
+    });
+  }
+
+  registerSink('ga4', ga4Sink);
+  registerSink('plausible', plausibleSink);
+  registerSink('beacon', beaconSink);
+  registerSink('console', consoleSink);
+
+  // Flush batched beacon events before the page goes away
+  window.addEventListener('pagehide', flushBeacon);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flushBeacon();
+    }
+  });
+
+  // Expose public API
+  window.LagosAnalytics = Object.freeze({
+    EVENTS: Object.freeze(Object.keys(EVENT_TYPES)),
+    track,
+    registerSink(name, sink) {
+      registerSink(name, sink);
+      activeSinks.add(name);
+    },
+    setConsent,
+    hasConsent: () => state.consent,
+  });
+})();
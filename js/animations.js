@@ -20,7 +20,7 @@
     CARD_SELECTOR: '.service-card',
     EXPANDABLE_CONTENT_CLASS: 'service-card-expanded',
     VISIBLE_CLASS: 'animate-in',
-    FOCUS_VISIBLE_CLASS: 'focus-visible-active'
+    CARD_TOGGLE_CLASS: 'service-card-toggle'
   };
 
   // State management
@@ -108,13 +108,14 @@
   function toggleCardExpansion(card) {
     const isExpanded = state.expandedCards.has(card);
     const expandableContent = card.querySelector('.service-benefits, .service-technologies');
+    const toggle = card.querySelector(`.${CONFIG.CARD_TOGGLE_CLASS}`);
     
     if (!expandableContent) return;
 
     if (isExpanded) {
       // Collapse
       card.classList.remove(CONFIG.EXPANDABLE_CONTENT_CLASS);
-      card.setAttribute('aria-expanded', 'false');
+      if (toggle) toggle.setAttribute('aria-expanded', 'false');
       state.expandedCards.delete(card);
       
       if (!state.prefersReducedMotion) {
@@ -124,13 +125,20 @@
     } else {
       // Expand
       card.classList.add(CONFIG.EXPANDABLE_CONTENT_CLASS);
-      card.setAttribute('aria-expanded', 'true');
+      if (toggle) toggle.setAttribute('aria-expanded', 'true');
       state.expandedCards.add(card);
       
       if (!state.prefersReducedMotion) {
         expandableContent.style.maxHeight = expandableContent.scrollHeight + 'px';
         expandableContent.style.opacity = '1';
       }
+
+      if (window.LagosAnalytics) {
+        const heading = card.querySelector('h3, h4');
+        window.LagosAnalytics.track('card_expand', {
+          card: heading ? heading.textContent.trim() : ''
+        });
+      }
     }
   }
 
@@ -140,31 +148,36 @@
   function initServiceCardInteractions() {
     const cards = document.querySelectorAll(CONFIG.CARD_SELECTOR);
     
-    cards.forEach(card => {
-      // Make cards keyboard accessible
-      if (!card.hasAttribute('tabindex')) {
-        card.setAttribute('tabindex', '0');
+    cards.forEach((card, index) => {
+      const expandableContent = card.querySelector('.service-benefits, .service-technologies');
+      const isOnControl = (e) => e.target !== card && Boolean(e.target.closest('a, button'));
+
+      if (!expandableContent) return;
+
+      // Cards hold their own links (e.g. their CTA), so the keyboard toggle
+      // is a real button rather than the card itself
+      if (!expandableContent.id) {
+        expandableContent.id = `service-card-details-${index + 1}`;
       }
-      card.setAttribute('role', 'button');
-      card.setAttribute('aria-expanded', 'false');
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = CONFIG.CARD_TOGGLE_CLASS;
+      toggle.textContent = 'Details';
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.setAttribute('aria-controls', expandableContent.id);
+      toggle.addEventListener('click', () => toggleCardExpansion(card));
+      expandableContent.before(toggle);
 
       // Click handler
       card.addEventListener('click', (e) => {
         // Don't toggle if clicking on links or buttons inside card
-        if (e.target.tagName === 'A' || e.target.tagName === 'BUTTON') {
+        if (isOnControl(e)) {
           return;
         }
         toggleCardExpansion(card);
       });
 
-      // Keyboard handler
-      card.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          toggleCardExpansion(card);
-        }
-      });
-
       // Touch support for mobile
       let touchStartY = 0;
       card.addEventListener('touchstart', (e) => {
@@ -172,6 +185,9 @@
       }, { passive: true });
 
       card.addEventListener('touchend', (e) => {
+        // Taps on the card's links (e.g. its CTA) only follow the link
+        if (isOnControl(e)) return;
+
         const touchEndY = e.changedTouches[0].clientY;
         const touchDiff = Math.abs(touchEndY - touchStartY);
         
@@ -180,15 +196,6 @@
           toggleCardExpansion(card);
         }
       }, { passive: true });
-
-      // Focus visible support
-      card.addEventListener('focus', () => {
-        card.classList.add(CONFIG.FOCUS_VISIBLE_CLASS);
-      });
-
-      card.addEventListener('blur', () => {
-        card.classList.remove(CONFIG.FOCUS_VISIBLE_CLASS);
-      });
     });
   }
 
@@ -232,11 +239,17 @@
         const href = this.getAttribute('href');
         if (href === '#') return;
         
-        const target = document.querySelector(href);
+        // "#contact?service=cloud" carries contact form prefill values
+        const [selector, query] = href.split('?');
+        const target = document.querySelector(selector);
         if (!target) return;
         
         e.preventDefault();
         
+        if (query && window.ContactForm) {
+          window.ContactForm.prefill(Object.fromEntries(new URLSearchParams(query)));
+        }
+        
         if (state.prefersReducedMotion) {
           target.scrollIntoView();
         } else {
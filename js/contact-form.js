@@ -5,13 +5,79 @@
  * for Lagos Software Consulting contact form.
  * 
  * Features:
- * - Client-side validation with real-time feedback
- * - Formspree email integration
- * - Spam protection with honeypot and rate limiting
+ * - Client-side validation with real-time feedback, driven by a rule
+ *   registry configured through markup or a schema object
+ * - Pluggable submission transports (Formspree, JSON webhook, mailto)
+ * - Layered spam protection: honeypot, time trap, proof-of-work token,
+ *   persistent rate limiting and an optional CAPTCHA provider hook
+ * - Offline submission queue with background retry
+ * - Draft autosave to session storage with restore prompt
+ * - Service-specific field groups shown for the selected service
+ * - Prefill from URL parameters and ContactForm.prefill(), UTM capture
+ * - Optional multi-step wizard mode
+ * - Optional discovery call booking after a successful submission
+ * - File attachments with client-side image compression and upload progress
  * - Accessibility enhancements
  * - Form state management (loading, success, error)
+ * - Analytics events published to LagosAnalytics (js/analytics.js)
+ * - Funnel and field-level abandonment metrics (no field values captured)
  * - Double submission prevention
  * - Comprehensive error handling and logging
+ *
+ * Transport selection (attributes on #contact-form):
+ * - data-transport: "formspree" (default), "webhook", "mailto" or a name
+ *   registered through ContactForm.registerTransport()
+ * - data-endpoint: URL (or mailto: address) handed to the transport
+ * - data-fallback-transport: transport used when the primary one cannot be
+ *   reached (network failure or timeout), e.g. "mailto"
+ *
+ * Fields marked with data-no-autosave are never written to the draft.
+ *
+ * Validation rules (attributes on any named field):
+ * - data-validate="email phone": space-separated rules without parameters
+ * - data-validate-<rule>="param": rule with a parameter, e.g.
+ *   data-validate-min-length="20", data-validate-required-if="service=other",
+ *   data-validate-match="email", data-validate-pattern="[0-9]+"
+ * - data-validate-<rule>-message: custom error message for that rule
+ * Custom rules are added with ContactForm.registerValidator(name, fn) and a
+ * schema object can be supplied with ContactForm.setValidationSchema().
+ * The built-in rules live in js/validation-rules.js (shared with the local
+ * receiver server), which must be loaded before this file.
+ *
+ * Spam protection layers are configured with
+ * ContactForm.configureSpamProtection({ timeTrap, minTimeToSubmit, proofOfWork,
+ * powDifficulty, rateLimit, maxSubmissions, rateLimitWindow, honeypot, captcha }),
+ * where captcha is { fieldName, getToken() } for a CAPTCHA provider.
+ *
+ * Funnel metrics: set data-funnel-endpoint on #contact-form to receive a
+ * compact per-visit payload via navigator.sendBeacon when the page is hidden.
+ *
+ * Service-specific fields: wrap extra fields in an element marked
+ * data-service-group="<group>" data-services="<service values>" and name them
+ * "<group>.<field>" (e.g. "cloud.provider"). A group is shown, validated and
+ * submitted only while #service holds one of its values.
+ *
+ * Prefill: "?service=cloud" or "#contact?service=cloud&budget=1m-5m" selects
+ * matching options (URL parameters only ever set <select> fields; the
+ * "service" parameter also accepts the short names in SERVICE_ALIASES).
+ * ContactForm.prefill({ field: value }) sets any named field and is what
+ * js/animations.js calls for service card CTAs. utm_* parameters are kept
+ * for the session and submitted in hidden fields.
+ *
+ * Discovery call booking: set data-scheduler (slots generated from the opening
+ * hours) or data-scheduler-feed="<slots feed url>" on #contact-form and load
+ * js/meeting-scheduler.js. After a successful submission the visitor is
+ * offered the available slots; the chosen one is sent
+ * through the active transport as a follow-up carrying _followup_to (the
+ * lead's _submission_id).
+ *
+ * Wizard mode: add data-wizard to #contact-form and mark its sections with
+ * data-step="<n>" (one section per step may add data-step-title="..." and
+ * data-step-legend="..."). The sections are regrouped into one fieldset per
+ * step, in step order, and each step is validated before moving on. Without
+ * data-wizard the form stays a single page in its source order. Sections
+ * marked data-wizard-only stay hidden and fields marked data-wizard-required
+ * stay optional outside wizard mode.
  * 
  * @module contact-form
  */
@@ -19,24 +85,62 @@
 (function() {
   'use strict';
 
+  const ValidationRules = window.ContactValidationRules;
+
   // Configuration
   const CONFIG = Object.freeze({
     FORMSPREE_ENDPOINT: 'https://formspree.io/f/YOUR_FORM_ID',
+    MAILTO_ADDRESS: 'info@lagossoftwareconsulting.com',
+    DEFAULT_TRANSPORT: 'formspree',
     RATE_LIMIT_WINDOW: 60000, // 1 minute
     MAX_SUBMISSIONS_PER_WINDOW: 3,
+    RATE_LIMIT_STORAGE_KEY: 'lsc-contact-form-submissions',
+    MIN_TIME_TO_SUBMIT: 3000, // 3 seconds
+    POW_DIFFICULTY: 12, // leading zero bits of SHA-256
+    POW_MAX_AGE: 600000, // 10 minutes
+    POW_BATCH_SIZE: 64,
     SUBMISSION_TIMEOUT: 30000, // 30 seconds
-    MIN_MESSAGE_LENGTH: 20,
-    MAX_MESSAGE_LENGTH: 1000,
-    PHONE_PATTERN: /^[\+]?[0-9]{10,15}$/,
-    NAME_PATTERN: /^[A-Za-z\s]{2,}$/,
+    QUEUE_DB_NAME: 'lsc-contact-form',
+    QUEUE_STORE_NAME: 'submission-queue',
+    QUEUE_STORAGE_KEY: 'lsc-contact-form-queue',
+    QUEUE_RETRY_BASE_DELAY: 5000, // 5 seconds
+    QUEUE_RETRY_MAX_DELAY: 600000, // 10 minutes
+    QUEUE_MAX_AGE: 604800000, // 7 days
+    DRAFT_STORAGE_KEY: 'lsc-contact-form-draft',
+    DRAFT_SAVE_DELAY: 500,
+    DRAFT_MAX_AGE: 86400000, // 24 hours
+    ATTACHMENT_MAX_IMAGE_SIZE: 26214400, // 25 MB per image before compression
+    COMPRESSIBLE_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+    IMAGE_COMPRESSION_MIN_SIZE: 204800, // 200 KB
+    IMAGE_COMPRESSION_MAX_DIMENSION: 1600,
+    IMAGE_COMPRESSION_QUALITY: 0.75,
+    UTM_PARAMETERS: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'],
+    UTM_STORAGE_KEY: 'lsc-contact-form-utm',
+    UTM_MAX_LENGTH: 200,
+  });
+
+  // Short service names accepted in prefill links (e.g. "?service=cloud")
+  const SERVICE_ALIASES = Object.freeze({
+    web: 'custom-web-applications',
+    mobile: 'mobile-app-development',
+    enterprise: 'enterprise-software',
+    cloud: 'cloud-migration',
+    strategy: 'it-strategy',
   });
 
   // State management
   const state = {
     isSubmitting: false,
+    isValidating: false,
     submissionCount: 0,
     lastSubmissionTime: 0,
+    formRenderedAt: 0,
+    spamCheck: null,
     formData: null,
+    isFlushingQueue: false,
+    queue: [],
+    isDraftPending: false,
+    wizardStep: null,
   };
 
   // DOM elements cache
@@ -46,9 +150,340 @@
     buttonText: null,
     buttonSpinner: null,
     formMessage: null,
+    draftPrompt: null,
+    steps: [],
+    wizardProgress: null,
+    wizardBack: null,
+    wizardNext: null,
+    serviceGroups: [],
+    attachmentInput: null,
+    attachmentList: null,
+    attachmentItems: [],
     inputs: {},
   };
 
+  // Registered submission transports, keyed by name
+  const transports = new Map();
+
+  // Transport selected through the public API (overrides data attributes)
+  let transportOverride = null;
+
+  // Queue persistence backend (resolves to null when falling back to localStorage)
+  let queueDatabase = null;
+  let queueFlushTimer = null;
+
+  let draftSaveTimer = null;
+
+  // Spam protection layers, adjustable through ContactForm.configureSpamProtection()
+  const spamSettings = {
+    honeypot: true,
+    timeTrap: true,
+    minTimeToSubmit: CONFIG.MIN_TIME_TO_SUBMIT,
+    proofOfWork: true,
+    powDifficulty: CONFIG.POW_DIFFICULTY,
+    rateLimit: true,
+    maxSubmissions: CONFIG.MAX_SUBMISSIONS_PER_WINDOW,
+    rateLimitWindow: CONFIG.RATE_LIMIT_WINDOW,
+    captcha: null,
+  };
+
+  // Proof-of-work computed in the background once the visitor starts typing
+  let proofOfWork = null;
+
+  // Submission timestamps when localStorage is unavailable
+  let memorySubmissions = [];
+
+  // Last error reported per field (avoids one event per keystroke)
+  const reportedFieldErrors = new Map();
+
+  // Funnel metrics: interaction only, never field values
+  const funnel = {
+    sessionId: '',
+    startedAt: 0,
+    focusOrder: [],
+    fields: {},
+    activeField: null,
+    activeSince: 0,
+    lastField: null,
+    outcome: 'abandoned',
+    isDirty: false,
+  };
+
+  // Registered validators, keyed by rule name
+  const validators = new Map();
+
+  // Pending async validation per input (latest run wins)
+  const asyncValidations = new WeakMap();
+
+  // Rules applied by field name in addition to data-validate-* attributes
+  let validationSchema = ValidationRules.DEFAULT_SCHEMA;
+
+  /**
+   * Convert FormData into a plain object (repeated keys become arrays)
+   * @param {FormData|Array} entries - Form data or [key, value] pairs to convert
+   * @returns {Object} - Plain object representation
+   */
+  function formDataToObject(entries) {
+    const result = {};
+
+    for (const [key, value] of entries) {
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        result[key] = [].concat(result[key], value);
+      } else {
+        result[key] = value;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether form data carries file attachments
+   * @param {FormData} formData - Form data to inspect
+   * @returns {boolean} - True if any value is a file
+   */
+  function hasFiles(formData) {
+    return Array.from(formData.values()).some(value => value instanceof Blob);
+  }
+
+  /**
+   * Send a request with XMLHttpRequest, which (unlike fetch) reports upload progress
+   * @param {string} url - Request URL
+   * @param {Object} options - { method, body, headers, signal, onUploadProgress }
+   * @returns {Promise<Response>} - Response built from the XHR result
+   */
+  function xhrRequest(url, { method = 'POST', body, headers = {}, signal, onUploadProgress }) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(method, url);
+
+      Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+
+      if (onUploadProgress) {
+        xhr.upload.addEventListener('progress', event => {
+          if (event.lengthComputable) {
+            onUploadProgress(event.loaded, event.total);
+          }
+        });
+      }
+
+      xhr.addEventListener('load', () => {
+        const responseHeaders = new Headers();
+        xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+          const index = line.indexOf(':');
+          if (index > 0) {
+            responseHeaders.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+          }
+        });
+
+        const hasBody = ![204, 205, 304].includes(xhr.status);
+        resolve(new Response(hasBody ? xhr.responseText : null, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: responseHeaders,
+        }));
+      });
+
+      // Mirror fetch: network failures reject with TypeError, aborts with AbortError
+      xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+      xhr.addEventListener('timeout', () => reject(new TypeError('Network request timed out')));
+      xhr.addEventListener('abort', () => reject(new DOMException('Request aborted', 'AbortError')));
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(new DOMException('Request aborted', 'AbortError'));
+          return;
+        }
+        signal.addEventListener('abort', () => xhr.abort());
+      }
+
+      xhr.send(body);
+    });
+  }
+
+  /**
+   * Read a file as base64 (for JSON transports)
+   * @param {Blob} file - File to read
+   * @returns {Promise<string>} - Base64-encoded content
+   */
+  function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Formspree transport: multipart POST, JSON response
+   */
+  const formspreeTransport = Object.freeze({
+    async send(formData, { endpoint, signal, onUploadProgress }) {
+      const url = endpoint || CONFIG.FORMSPREE_ENDPOINT;
+      const request = {
+        method: 'POST',
+        body: formData,
+        headers: {
+          'Accept': 'application/json'
+        },
+        signal
+      };
+
+      const response = hasFiles(formData)
+        ? await xhrRequest(url, { ...request, onUploadProgress })
+        : await fetch(url, request);
+
+      const data = await response.json().catch(() => ({}));
+      const messages = Array.isArray(data.errors)
+        ? data.errors.map(error => error.message).filter(Boolean)
+        : [];
+
+      return {
+        ok: response.ok,
+        status: response.status,
+        data,
+        message: response.ok ? '' : (messages.join(', ') || data.error || ''),
+      };
+    },
+  });
+
+  /**
+   * Generic webhook transport: JSON POST, JSON or text response
+   */
+  const webhookTransport = Object.freeze({
+    async send(formData, { endpoint, signal, onUploadProgress }) {
+      if (!endpoint) {
+        throw new Error('Webhook transport requires an endpoint');
+      }
+
+      // Files travel inside the JSON payload as base64
+      const encoded = [];
+      for (const [key, value] of formData.entries()) {
+        encoded.push([key, value instanceof Blob
+          ? { name: value.name, type: value.type, size: value.size, data: await readFileAsBase64(value) }
+          : value]);
+      }
+
+      const request = {
+        method: 'POST',
+        body: JSON.stringify(formDataToObject(encoded)),
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        signal
+      };
+
+      const response = hasFiles(formData)
+        ? await xhrRequest(endpoint, { ...request, onUploadProgress })
+        : await fetch(endpoint, { ...request, credentials: 'omit' });
+
+      const contentType = response.headers.get('content-type') || '';
+      const data = contentType.includes('application/json')
+        ? await response.json().catch(() => ({}))
+        : { body: await response.text().catch(() => '') };
+
+      return {
+        ok: response.ok,
+        status: response.status,
+        data,
+        message: response.ok ? '' : (data.message || `Webhook responded with status ${response.status}`),
+      };
+    },
+  });
+
+  /**
+   * Mailto transport: hands the message over to the visitor's mail client
+   */
+  const mailtoTransport = Object.freeze({
+    // Leaves the page, so it is never used for background retries
+    navigates: true,
+
+    async send(formData, { endpoint }) {
+      const recipient = (endpoint || CONFIG.MAILTO_ADDRESS).replace(/^mailto:/i, '');
+      const subject = formData.get('_subject') || 'Contact Form Submission';
+
+      const lines = [];
+      const attachments = [];
+      formData.forEach((value, key) => {
+        if (value instanceof Blob) {
+          attachments.push(value.name);
+          return;
+        }
+        if (key.startsWith('_') || !value.trim()) return;
+        lines.push(`${key}: ${value}`);
+      });
+
+      // Mail clients cannot be handed files through a mailto: link
+      if (attachments.length > 0) {
+        lines.push('', `Attachments to send separately: ${attachments.join(', ')}`);
+      }
+
+      window.location.href = `mailto:${recipient}` +
+        `?subject=${encodeURIComponent(subject)}` +
+        `&body=${encodeURIComponent(lines.join('\n'))}`;
+
+      return {
+        ok: true,
+        status: 0,
+        data: { handoff: 'mailto' },
+        message: '',
+      };
+    },
+  });
+
+  /**
+   * Register a submission transport
+   * @param {string} name - Transport name used by data-transport
+   * @param {Object} adapter - Object with send(formData, context) returning
+   *   a Promise of { ok, status, data, message }; set navigates: true when
+   *   sending leaves the page, so queued submissions are not retried with it
+   */
+  function registerTransport(name, adapter) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('Transport name must be a non-empty string');
+    }
+
+    if (!adapter || typeof adapter.send !== 'function') {
+      throw new TypeError(`Transport "${name}" must implement send()`);
+    }
+
+    transports.set(name, adapter);
+  }
+
+  /**
+   * Select the transport used for submissions, overriding data attributes
+   * @param {string} name - Registered transport name
+   * @param {Object} options - Transport options (endpoint, fallback)
+   */
+  function useTransport(name, options = {}) {
+    if (!transports.has(name)) {
+      throw new Error(`Unknown transport "${name}"`);
+    }
+
+    transportOverride = { name, ...options };
+  }
+
+  /**
+   * Resolve the active transport configuration
+   * @returns {Object} - Transport name, endpoint and fallback name
+   */
+  function resolveTransportConfig() {
+    const dataset = elements.form?.dataset || {};
+
+    return {
+      name: dataset.transport || CONFIG.DEFAULT_TRANSPORT,
+      endpoint: dataset.endpoint || '',
+      fallback: dataset.fallbackTransport || '',
+      ...transportOverride,
+    };
+  }
+
+  registerTransport('formspree', formspreeTransport);
+  registerTransport('webhook', webhookTransport);
+  registerTransport('mailto', mailtoTransport);
+
   /**
    * Initialize the contact form handler
    */
@@ -61,9 +496,18 @@
         return;
       }
 
+      state.formRenderedAt = Date.now();
+
       setupEventListeners();
       setupHoneypot();
       setupAccessibility();
+      setupSubmissionQueue();
+      setupServiceFields();
+      setupWizard();
+      setupAttachments();
+      setupDraftAutosave();
+      setupPrefill();
+      setupFunnelTracking();
       
       logInfo('Contact form initialized successfully');
     } catch (error) {
@@ -95,6 +539,15 @@
       service: document.getElementById('service'),
       message: document.getElementById('message'),
     };
+
+    // Pick up any additional named fields added to the markup
+    Array.from(elements.form.elements).forEach(field => {
+      if (!field.name || field.name in elements.inputs) return;
+      if (['hidden', 'submit', 'button', 'reset'].includes(field.type)) return;
+      if (field.tagName === 'FIELDSET' || field.tagName === 'BUTTON') return;
+
+      elements.inputs[field.name] = field;
+    });
   }
 
   /**
@@ -104,6 +557,12 @@
     // Form submission
     elements.form.addEventListener('submit', handleSubmit);
 
+    // Start the proof-of-work as soon as the visitor engages with the form
+    elements.form.addEventListener('focusin', prepareProofOfWork, { once: true });
+    elements.form.addEventListener('focusin', () => {
+      trackEvent('form_start', { wizard: isWizardEnabled() });
+    }, { once: true });
+
     // Real-time validation
     Object.values(elements.inputs).forEach(input => {
       if (!input) return;
@@ -144,14 +603,20 @@
    */
   function setupAccessibility() {
     // Ensure all form fields have proper ARIA attributes
-    Object.entries(elements.inputs).forEach(([key, input]) => {
+    Object.values(elements.inputs).forEach(input => {
       if (!input) return;
 
-      const errorId = `${key}-error`;
+      const errorId = `${input.id}-error`;
       const errorElement = document.getElementById(errorId);
       
       if (errorElement) {
-        input.setAttribute('aria-describedby', errorId);
+        const describedBy = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+
+        if (!describedBy.includes(errorId)) {
+          describedBy.push(errorId);
+        }
+
+        input.setAttribute('aria-describedby', describedBy.join(' '));
       }
     });
 
@@ -164,340 +629,2443 @@
   }
 
   /**
-   * Handle input change events for real-time validation
-   * @param {Event} event - Input event
+   * Setup draft autosave and offer to restore a previous draft
    */
-  function handleInputChange(event) {
-    const input = event.target;
-    
-    // Clear previous error state
-    clearFieldError(input);
+  function setupDraftAutosave() {
+    elements.form.addEventListener('input', scheduleDraftSave);
+    elements.form.addEventListener('change', scheduleDraftSave);
+
+    // Flush pending changes before the page goes away
+    window.addEventListener('pagehide', () => {
+      if (draftSaveTimer) {
+        clearTimeout(draftSaveTimer);
+        saveDraft();
+      }
+    });
+
+    const draft = loadDraft();
+
+    if (draft) {
+      showDraftPrompt(draft);
+    }
+  }
+
+  /**
+   * Get the inputs whose values may be stored in a draft
+   * @returns {Array} - [name, input] pairs
+   */
+  function getDraftInputs() {
+    return Object.entries(elements.inputs).filter(([, input]) => {
+      return input &&
+        input.name !== 'website' &&
+        input.type !== 'file' &&
+        !input.hasAttribute('data-no-autosave');
+    });
+  }
+
+  /**
+   * Debounce draft saving while the user types
+   */
+  function scheduleDraftSave() {
+    // Keep the offered draft until the visitor restores or discards it
+    if (state.isDraftPending) return;
+
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(saveDraft, CONFIG.DRAFT_SAVE_DELAY);
+  }
+
+  /**
+   * Save current field values to session storage
+   */
+  function saveDraft() {
+    draftSaveTimer = null;
+
+    const fields = {};
+
+    getDraftInputs().forEach(([key, input]) => {
+      if (input.value.trim()) {
+        fields[key] = input.value;
+      }
+    });
+
+    try {
+      if (Object.keys(fields).length === 0) {
+        sessionStorage.removeItem(CONFIG.DRAFT_STORAGE_KEY);
+        return;
+      }
+
+      sessionStorage.setItem(CONFIG.DRAFT_STORAGE_KEY, JSON.stringify({
+        savedAt: Date.now(),
+        fields,
+      }));
+    } catch (error) {
+      logWarning('Failed to save draft', { error: error.message });
+    }
+  }
+
+  /**
+   * Load a saved draft, discarding it if it has expired
+   * @returns {Object|null} - Draft with savedAt and fields, or null
+   */
+  function loadDraft() {
+    try {
+      const draft = JSON.parse(sessionStorage.getItem(CONFIG.DRAFT_STORAGE_KEY));
+
+      if (!draft || !draft.fields || Object.keys(draft.fields).length === 0) {
+        return null;
+      }
+
+      if (Date.now() - draft.savedAt > CONFIG.DRAFT_MAX_AGE) {
+        clearDraft();
+        return null;
+      }
+
+      return draft;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Remove the saved draft
+   */
+  function clearDraft() {
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = null;
+
+    try {
+      sessionStorage.removeItem(CONFIG.DRAFT_STORAGE_KEY);
+    } catch (error) {
+      logWarning('Failed to clear draft', { error: error.message });
+    }
+  }
+
+  /**
+   * Show the "restore your draft" prompt above the form
+   * @param {Object} draft - Saved draft
+   */
+  function showDraftPrompt(draft) {
+    const prompt = document.createElement('div');
+    prompt.className = 'draft-prompt';
+    prompt.setAttribute('role', 'region');
+    prompt.setAttribute('aria-label', 'Unsent message draft');
+
+    const text = document.createElement('p');
+    text.textContent = 'You have an unsent message from earlier. Would you like to restore it?';
+
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'draft-prompt-restore';
+    restoreButton.textContent = 'Restore draft';
+    restoreButton.addEventListener('click', () => restoreDraft(draft));
+
+    const discardButton = document.createElement('button');
+    discardButton.type = 'button';
+    discardButton.className = 'draft-prompt-discard';
+    discardButton.textContent = 'Discard';
+    discardButton.addEventListener('click', discardDraft);
+
+    prompt.append(text, restoreButton, discardButton);
+    elements.form.insertBefore(prompt, elements.form.firstChild);
+
+    elements.draftPrompt = prompt;
+    state.isDraftPending = true;
+  }
+
+  /**
+   * Remove the draft prompt
+   */
+  function hideDraftPrompt() {
+    if (elements.draftPrompt) {
+      elements.draftPrompt.remove();
+      elements.draftPrompt = null;
+    }
+
+    state.isDraftPending = false;
+  }
+
+  /**
+   * Restore saved values into the form
+   * @param {Object} draft - Saved draft
+   */
+  function restoreDraft(draft) {
+    hideDraftPrompt();
+
+    let firstRestored = null;
+
+    getDraftInputs().forEach(([key, input]) => {
+      if (!Object.prototype.hasOwnProperty.call(draft.fields, key)) return;
+
+      input.value = draft.fields[key];
+      firstRestored = firstRestored || input;
+    });
+
+    updateServiceFields();
+
+    // Keep what was typed while the prompt was shown along with the draft
+    scheduleDraftSave();
+
+    logInfo('Draft restored', { fields: Object.keys(draft.fields) });
+    announceToScreenReader('Your draft has been restored.');
+
+    if (isWizardEnabled()) {
+      focusStep(state.wizardStep);
+    } else if (firstRestored) {
+      firstRestored.focus();
+    }
+  }
+
+  /**
+   * Discard the saved draft and remove the prompt
+   */
+  function discardDraft() {
+    hideDraftPrompt();
+
+    // Anything typed while the prompt was shown becomes the new draft
+    saveDraft();
+  }
+
+  /**
+   * Setup field groups that depend on the selected service
+   */
+  function setupServiceFields() {
+    elements.serviceGroups = Array.from(elements.form.querySelectorAll('[data-service-group]'));
+
+    if (elements.serviceGroups.length === 0 || !elements.inputs.service) return;
+
+    const controls = elements.serviceGroups.map(group => {
+      if (!group.id) {
+        group.id = `service-fields-${group.getAttribute('data-service-group')}`;
+      }
+      return group.id;
+    });
+
+    elements.inputs.service.setAttribute('aria-controls', controls.join(' '));
+    elements.inputs.service.addEventListener('change', () => updateServiceFields({ announce: true }));
+
+    updateServiceFields();
+    logInfo('Service-specific fields enabled', { groups: controls.length });
+  }
+
+  /**
+   * Get the services a field group applies to
+   * @param {HTMLElement} group - Group element
+   * @returns {string[]} - Service values
+   */
+  function getGroupServices(group) {
+    return (group.getAttribute('data-services') || '').split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Show the field groups for the selected service and disable the others
+   * Disabled fields are skipped by validation and left out of the FormData.
+   * @param {Object} options - { announce: true } tells screen reader users
+   *   that new questions appeared
+   */
+  function updateServiceFields(options = {}) {
+    const service = elements.inputs.service ? elements.inputs.service.value : '';
+    const shown = [];
+
+    elements.serviceGroups.forEach(group => {
+      const isActive = getGroupServices(group).includes(service);
+      const wasActive = !group.hidden;
+
+      group.hidden = !isActive;
+
+      // Fieldsets disable their fields natively; other wrappers do it per field
+      if (group.tagName === 'FIELDSET') {
+        group.disabled = !isActive;
+      } else {
+        group.querySelectorAll('input, select, textarea').forEach(field => {
+          field.disabled = !isActive;
+        });
+      }
+
+      if (!isActive && wasActive) {
+        getGroupInputs(group).forEach(input => {
+          input.setCustomValidity('');
+          clearFieldError(input);
+          reportedFieldErrors.delete(input.name);
+        });
+      }
+
+      if (isActive && !wasActive) {
+        const legend = group.querySelector('legend');
+        shown.push(legend ? legend.textContent.trim() : group.getAttribute('data-service-group'));
+      }
+    });
+
+    if (options.announce && shown.length > 0) {
+      announceToScreenReader(`Additional questions added: ${shown.join(', ')}.`);
+    }
+  }
+
+  /**
+   * Get the cached inputs inside a service field group
+   * @param {HTMLElement} group - Group element
+   * @returns {HTMLElement[]} - Inputs
+   */
+  function getGroupInputs(group) {
+    return Object.values(elements.inputs).filter(input => input && group.contains(input));
+  }
+
+  /**
+   * Check whether a field belongs to a hidden service group
+   * @param {HTMLElement} input - Input element
+   * @returns {boolean} - True if the field is currently not in use
+   */
+  function isInactiveServiceField(input) {
+    return elements.serviceGroups.some(group => group.hidden && group.contains(input));
+  }
+
+  /**
+   * Apply prefill from the URL now and whenever the hash changes
+   */
+  function setupPrefill() {
+    applyUrlPrefill();
+    window.addEventListener('hashchange', applyUrlPrefill);
+  }
+
+  /**
+   * Read parameters from the query string and from a "#target?..." hash
+   * @returns {URLSearchParams} - Parameters (hash values win)
+   */
+  function getUrlParameters() {
+    const params = new URLSearchParams(window.location.search);
+    const hash = window.location.hash;
+    const queryIndex = hash.indexOf('?');
+
+    if (queryIndex !== -1) {
+      new URLSearchParams(hash.slice(queryIndex + 1)).forEach((value, key) => {
+        params.set(key, value);
+      });
+    }
+
+    return params;
+  }
+
+  /**
+   * Prefill select fields and capture UTM parameters from the URL
+   */
+  function applyUrlPrefill() {
+    const params = getUrlParameters();
+    const values = {};
+
+    captureUtmParameters(params);
+
+    params.forEach((value, key) => {
+      const input = elements.inputs[key];
+
+      if (input && input.tagName === 'SELECT') {
+        values[key] = value;
+      }
+    });
+
+    if (Object.keys(values).length === 0) return;
+
+    prefill(values);
+
+    // "#contact?service=..." matches no element id, so the browser does not scroll
+    const hash = window.location.hash;
+    if (hash.includes('?')) {
+      const target = document.getElementById(decodeURIComponent(hash.slice(1, hash.indexOf('?'))));
+
+      if (target) {
+        target.scrollIntoView();
+      }
+    }
+  }
+
+  /**
+   * Keep UTM parameters for the session and expose them as hidden fields
+   * @param {URLSearchParams} params - Parameters that may hold utm_* values
+   */
+  function captureUtmParameters(params) {
+    let utm = {};
+
+    CONFIG.UTM_PARAMETERS.forEach(key => {
+      const value = (params.get(key) || '').trim();
+
+      if (value) {
+        utm[key] = value.slice(0, CONFIG.UTM_MAX_LENGTH);
+      }
+    });
+
+    try {
+      if (Object.keys(utm).length > 0) {
+        // A new campaign visit replaces the previous attribution
+        sessionStorage.setItem(CONFIG.UTM_STORAGE_KEY, JSON.stringify(utm));
+      } else {
+        utm = JSON.parse(sessionStorage.getItem(CONFIG.UTM_STORAGE_KEY) || '{}');
+      }
+    } catch (error) {
+      logWarning('Could not persist UTM parameters', { error: error.message });
+    }
+
+    setUtmFields(utm);
+  }
+
+  /**
+   * Write UTM values into hidden fields, creating them as needed
+   * @param {Object} utm - utm_* values
+   */
+  function setUtmFields(utm) {
+    CONFIG.UTM_PARAMETERS.forEach(key => {
+      let field = elements.form.querySelector(`input[type="hidden"][name="${key}"]`);
+
+      if (!utm[key]) {
+        if (field) field.remove();
+        return;
+      }
+
+      if (!field) {
+        field = document.createElement('input');
+        field.type = 'hidden';
+        field.name = key;
+        elements.form.appendChild(field);
+      }
+
+      field.value = utm[key];
+    });
+  }
+
+  /**
+   * Resolve the value to put into a field, checking select options
+   * @param {HTMLElement} input - Field to prefill
+   * @param {string} value - Requested value
+   * @returns {string|null} - Value to set, or null if the field cannot take it
+   */
+  function resolvePrefillValue(input, value) {
+    if (input.tagName !== 'SELECT') {
+      return value;
+    }
+
+    const candidates = [value];
+    if (input.name === 'service') {
+      candidates.push(SERVICE_ALIASES[value.toLowerCase()]);
+    }
+
+    const options = Array.from(input.options).map(option => option.value).filter(Boolean);
+    return candidates.find(candidate => options.includes(candidate)) || null;
+  }
+
+  /**
+   * Prefill form fields
+   * Select fields are always set; text fields are only filled while empty
+   * unless options.overwrite is true, so typed input is never lost.
+   * @param {Object} values - Map of field name (or utm_* parameter) to value
+   * @param {Object} options - { overwrite }
+   * @returns {string[]} - Names of the fields that were set
+   */
+  function prefill(values, options = {}) {
+    if (!elements.form || !values || typeof values !== 'object') {
+      return [];
+    }
+
+    const applied = [];
+    let utm = null;
+
+    Object.entries(values).forEach(([key, rawValue]) => {
+      const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+
+      if (CONFIG.UTM_PARAMETERS.includes(key)) {
+        // Add to the attribution already captured rather than replacing it
+        utm = utm || new URLSearchParams(
+          Array.from(elements.form.querySelectorAll('input[type="hidden"][name^="utm_"]'), field => [field.name, field.value])
+        );
+        utm.set(key, value);
+        return;
+      }
+
+      const input = elements.inputs[key];
+
+      if (!input || input.type === 'file' || input.name === 'website') {
+        logWarning('Cannot prefill unknown field', { field: key });
+        return;
+      }
+
+      const resolved = resolvePrefillValue(input, value);
+
+      if (resolved === null) {
+        logWarning('Ignoring prefill value the field does not offer', { field: key, value });
+        return;
+      }
+
+      if (input.tagName !== 'SELECT' && input.value.trim() && !options.overwrite) {
+        return;
+      }
+
+      input.value = resolved;
+      clearFieldError(input);
+      reportedFieldErrors.delete(input.name);
+      applied.push(key);
+    });
+
+    if (utm) {
+      captureUtmParameters(utm);
+    }
+
+    if (applied.length > 0) {
+      updateServiceFields({ announce: true });
+
+      scheduleDraftSave();
+
+      logInfo('Form prefilled', { fields: applied });
+    }
+
+    return applied;
+  }
+
+  /**
+   * Check whether wizard mode is active
+   * @returns {boolean} - True if the form is split into steps
+   */
+  function isWizardEnabled() {
+    return state.wizardStep !== null;
+  }
+
+  /**
+   * Split the form into steps when wizard mode is enabled
+   */
+  function setupWizard() {
+    if (!elements.form.hasAttribute('data-wizard')) return;
+
+    const steps = groupWizardSteps();
+
+    if (steps.length < 2) {
+      logWarning('Wizard mode needs at least two [data-step] sections');
+      return;
+    }
+
+    // Wrap each step's sections in a fieldset, in step order
+    elements.steps = steps.map(({ step, sections }) => {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'form-step';
+      fieldset.setAttribute('data-step', step);
+
+      const titled = sections.find(section => section.hasAttribute('data-step-title'));
+      const title = titled && titled.getAttribute('data-step-title');
+      const legendText = titled && (titled.getAttribute('data-step-legend') || title);
+
+      if (title) {
+        fieldset.setAttribute('data-step-title', title);
+      }
+
+      if (legendText) {
+        const legend = document.createElement('legend');
+        legend.textContent = legendText;
+        fieldset.appendChild(legend);
+      }
+
+      fieldset.append(...sections);
+
+      return fieldset;
+    });
+
+    elements.steps.forEach(step => {
+      elements.form.insertBefore(step, elements.submitButton || null);
+    });
+
+    elements.form.classList.add('is-wizard');
+
+    // Sections only shown in wizard mode
+    elements.form.querySelectorAll('[data-wizard-only]').forEach(section => {
+      section.hidden = false;
+    });
+
+    // Qualification questions the single-page form leaves optional
+    elements.form.querySelectorAll('[data-wizard-required]').forEach(input => {
+      input.required = true;
+      input.setAttribute('aria-required', 'true');
+
+      const label = input.id && elements.form.querySelector(`label[for="${input.id}"]`);
+      if (label && !label.querySelector('.required')) {
+        const marker = document.createElement('span');
+        marker.className = 'required';
+        marker.setAttribute('aria-label', 'required');
+        marker.textContent = '*';
+        label.append(' ', marker);
+      }
+    });
+
+    // Progress indicator
+    const progress = document.createElement('ol');
+    progress.className = 'wizard-progress';
+    progress.setAttribute('aria-label', 'Form progress');
+
+    elements.steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      item.className = 'wizard-progress-step';
+      item.textContent = getStepTitle(index);
+      progress.appendChild(item);
+    });
+
+    elements.form.insertBefore(progress, elements.steps[0]);
+    elements.wizardProgress = progress;
+
+    // Back / next navigation
+    const nav = document.createElement('div');
+    nav.className = 'wizard-nav';
+
+    elements.wizardBack = document.createElement('button');
+    elements.wizardBack.type = 'button';
+    elements.wizardBack.className = 'wizard-back';
+    elements.wizardBack.textContent = 'Back';
+    elements.wizardBack.addEventListener('click', goToPreviousStep);
+
+    elements.wizardNext = document.createElement('button');
+    elements.wizardNext.type = 'button';
+    elements.wizardNext.className = 'wizard-next';
+    elements.wizardNext.textContent = 'Next';
+    elements.wizardNext.addEventListener('click', goToNextStep);
+
+    nav.append(elements.wizardBack, elements.wizardNext);
+    elements.form.insertBefore(nav, elements.submitButton || null);
+
+    showStep(0, { focus: false });
+    logInfo('Wizard mode enabled', { steps: elements.steps.length });
+  }
+
+  /**
+   * Group the sections marked data-step by step number
+   * @returns {Object[]} - [{ step, sections }] in step order
+   */
+  function groupWizardSteps() {
+    const groups = new Map();
+
+    elements.form.querySelectorAll('[data-step]').forEach(section => {
+      if (section.parentElement.closest('[data-step]')) return;
+
+      const step = section.getAttribute('data-step');
+
+      if (!groups.has(step)) {
+        groups.set(step, []);
+      }
+      groups.get(step).push(section);
+    });
+
+    return Array.from(groups, ([step, sections]) => ({ step, sections }))
+      .sort((a, b) => Number(a.step) - Number(b.step));
+  }
+
+  /**
+   * Get the display title of a step
+   * @param {number} index - Step index
+   * @returns {string} - Step title
+   */
+  function getStepTitle(index) {
+    const step = elements.steps[index];
+    const legend = step.querySelector('legend');
+
+    return step.getAttribute('data-step-title') ||
+      (legend && legend.textContent.trim()) ||
+      `Step ${index + 1}`;
+  }
+
+  /**
+   * Get the validatable inputs inside a step
+   * @param {number} index - Step index
+   * @returns {HTMLElement[]} - Inputs in the step
+   */
+  function getStepInputs(index) {
+    const step = elements.steps[index];
+    return Object.values(elements.inputs).filter(input => input && step.contains(input));
+  }
+
+  /**
+   * Show a step and update progress and navigation
+   * @param {number} index - Step index
+   * @param {Object} options - { focus: false } keeps focus where it is
+   */
+  function showStep(index, options = {}) {
+    const total = elements.steps.length;
+    state.wizardStep = Math.max(0, Math.min(index, total - 1));
+
+    elements.steps.forEach((step, stepIndex) => {
+      step.hidden = stepIndex !== state.wizardStep;
+    });
+
+    Array.from(elements.wizardProgress.children).forEach((item, stepIndex) => {
+      item.classList.toggle('is-complete', stepIndex < state.wizardStep);
+      item.classList.toggle('is-current', stepIndex === state.wizardStep);
+
+      if (stepIndex === state.wizardStep) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+
+    const isFirst = state.wizardStep === 0;
+    const isLast = state.wizardStep === total - 1;
+
+    elements.wizardBack.hidden = isFirst;
+    elements.wizardNext.hidden = isLast;
+
+    if (elements.submitButton) {
+      elements.submitButton.hidden = !isLast;
+    }
+
+    if (options.focus !== false) {
+      focusStep(state.wizardStep);
+      announceToScreenReader(`Step ${state.wizardStep + 1} of ${total}: ${getStepTitle(state.wizardStep)}`);
+    }
+  }
+
+  /**
+   * Move focus to the first field of a step
+   * @param {number} index - Step index
+   */
+  function focusStep(index) {
+    const [firstInput] = getStepInputs(index);
+
+    if (firstInput) {
+      firstInput.focus();
+    }
+  }
+
+  /**
+   * Validate the current step and advance when it passes
+   * @returns {Promise<boolean>} - True if the wizard advanced
+   */
+  async function goToNextStep() {
+    const inputs = getStepInputs(state.wizardStep);
+    const results = await Promise.all(inputs.map(validateFieldAsync));
+    const firstInvalid = inputs.find((input, index) => !results[index]);
+
+    if (firstInvalid) {
+      logWarning('Wizard step validation failed', { step: state.wizardStep + 1 });
+      firstInvalid.focus();
+      return false;
+    }
+
+    showStep(state.wizardStep + 1);
+    return true;
+  }
+
+  /**
+   * Go back one step
+   */
+  function goToPreviousStep() {
+    showStep(state.wizardStep - 1);
+  }
+
+  /**
+   * Reveal the step containing an invalid field after a failed submit
+   */
+  function showFirstInvalidStep() {
+    const index = elements.steps.findIndex((step, stepIndex) => {
+      return getStepInputs(stepIndex).some(input => input.getAttribute('aria-invalid') === 'true');
+    });
+
+    if (index !== -1) {
+      showStep(index);
+    }
+  }
+
+  /**
+   * Setup the optional attachment input
+   */
+  function setupAttachments() {
+    elements.attachmentInput = elements.form.querySelector('input[type="file"][name="attachments"]');
+
+    if (!elements.attachmentInput) return;
+
+    elements.attachmentList = document.getElementById('attachments-list');
+
+    elements.attachmentInput.addEventListener('change', () => {
+      renderAttachmentList(Array.from(elements.attachmentInput.files));
+    });
+  }
+
+  /**
+   * Get the lowercase extension of a file name
+   * @param {string} fileName - File name
+   * @returns {string} - Extension including the dot
+   */
+  function getFileExtension(fileName) {
+    const index = fileName.lastIndexOf('.');
+    return index === -1 ? '' : fileName.slice(index).toLowerCase();
+  }
+
+  /**
+   * Check whether an image will be compressed before upload
+   * @param {File} file - File to check
+   * @returns {boolean} - True for large JPEG, PNG and WebP images
+   */
+  function isCompressibleImage(file) {
+    return CONFIG.COMPRESSIBLE_IMAGE_TYPES.includes(file.type) &&
+      file.size > CONFIG.IMAGE_COMPRESSION_MIN_SIZE;
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string} - Human-readable size
+   */
+  function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+  }
+
+  /**
+   * Check a list of attachments against count, type and size limits
+   * @param {File[]} files - Files to check
+   * @returns {string|null} - Error message, or null when acceptable
+   */
+  function checkAttachments(files) {
+    if (files.length > ValidationRules.CONFIG.ATTACHMENT_MAX_FILES) {
+      return `Please attach no more than ${ValidationRules.CONFIG.ATTACHMENT_MAX_FILES} files`;
+    }
+
+    const unsupported = files.find(file => !ValidationRules.CONFIG.ATTACHMENT_EXTENSIONS.includes(getFileExtension(file.name)));
+    if (unsupported) {
+      return `"${unsupported.name}" is not a supported file type (PDF, Word, PowerPoint, Excel, text or image)`;
+    }
+
+    const oversizedImage = files.find(file => isCompressibleImage(file) && file.size > CONFIG.ATTACHMENT_MAX_IMAGE_SIZE);
+    if (oversizedImage) {
+      return `"${oversizedImage.name}" is too large (maximum ${formatFileSize(CONFIG.ATTACHMENT_MAX_IMAGE_SIZE)} per image)`;
+    }
+
+    // Large images are compressed before upload, so they are checked again afterwards
+    const totalSize = files
+      .filter(file => !isCompressibleImage(file))
+      .reduce((sum, file) => sum + file.size, 0);
+
+    if (totalSize > ValidationRules.CONFIG.ATTACHMENT_MAX_TOTAL_SIZE) {
+      return `Attachments must be ${formatFileSize(ValidationRules.CONFIG.ATTACHMENT_MAX_TOTAL_SIZE)} or less in total`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Show selected attachments with an (initially hidden) progress bar each
+   * @param {File[]} files - Files to list
+   */
+  function renderAttachmentList(files) {
+    elements.attachmentItems = [];
+
+    if (!elements.attachmentList) return;
+
+    elements.attachmentList.textContent = '';
+
+    files.forEach(file => {
+      const item = document.createElement('li');
+      item.className = 'attachment-item';
+
+      const label = document.createElement('span');
+      label.className = 'attachment-name';
+      label.textContent = `${file.name} (${formatFileSize(file.size)})`;
+
+      const progress = document.createElement('progress');
+      progress.className = 'attachment-progress';
+      progress.max = 100;
+      progress.value = 0;
+      progress.hidden = true;
+      progress.setAttribute('aria-label', `Upload progress for ${file.name}`);
+
+      item.append(label, progress);
+      elements.attachmentList.appendChild(item);
+      elements.attachmentItems.push({ file, progress });
+    });
+  }
+
+  /**
+   * Map overall upload progress onto each attachment
+   * @param {number} loaded - Bytes uploaded so far
+   * @param {number} total - Total request bytes
+   */
+  function updateAttachmentProgress(loaded, total) {
+    const items = elements.attachmentItems;
+    if (items.length === 0 || !total) return;
+
+    // Approximation: attachments dominate the request body, so progress is
+    // spread over them in order, proportionally to their size
+    const filesTotal = items.reduce((sum, item) => sum + item.file.size, 0);
+    const uploaded = (loaded / total) * filesTotal;
+    let start = 0;
+
+    items.forEach(({ file, progress }) => {
+      const fraction = file.size ? (uploaded - start) / file.size : 1;
+      progress.hidden = false;
+      progress.value = Math.round(Math.max(0, Math.min(1, fraction)) * 100);
+      start += file.size;
+    });
+  }
+
+  /**
+   * Downscale and re-encode a large image as JPEG
+   * @param {File} file - Image file
+   * @returns {Promise<File>} - Compressed file, or the original if not smaller
+   */
+  async function compressImage(file) {
+    if (typeof createImageBitmap !== 'function') {
+      return file;
+    }
+
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const scale = Math.min(1, CONFIG.IMAGE_COMPRESSION_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+
+    const context = canvas.getContext('2d');
+    // JPEG has no alpha channel, so transparent areas become white rather than black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise(resolve => {
+      canvas.toBlob(resolve, 'image/jpeg', CONFIG.IMAGE_COMPRESSION_QUALITY);
+    });
+
+    if (!blob || blob.size >= file.size) {
+      return file;
+    }
+
+    return new File([blob], file.name.replace(/\.[^.]+$/, '.jpg'), {
+      type: 'image/jpeg',
+      lastModified: file.lastModified,
+    });
+  }
+
+  /**
+   * Compress image attachments and check the final upload size
+   * @param {FormData} formData - Collected form data (updated in place)
+   * @returns {Promise<boolean>} - False if attachments are still too large
+   */
+  async function processAttachments(formData) {
+    const files = formData.getAll('attachments').filter(file => file instanceof Blob && file.size > 0);
+    formData.delete('attachments');
+
+    if (files.length === 0) {
+      renderAttachmentList([]);
+      return true;
+    }
+
+    const processed = await Promise.all(files.map(file => {
+      if (!isCompressibleImage(file)) return file;
+
+      return compressImage(file).catch(error => {
+        logWarning('Image compression failed, sending original', { file: file.name, error: error.message });
+        return file;
+      });
+    }));
+
+    const totalSize = processed.reduce((sum, file) => sum + file.size, 0);
+
+    if (totalSize > ValidationRules.CONFIG.ATTACHMENT_MAX_TOTAL_SIZE) {
+      const input = elements.attachmentInput;
+      input.setCustomValidity(`Attachments must be ${formatFileSize(ValidationRules.CONFIG.ATTACHMENT_MAX_TOTAL_SIZE)} or less in total (currently ${formatFileSize(totalSize)})`);
+      showFieldError(input);
+      input.focus();
+      return false;
+    }
+
+    processed.forEach(file => formData.append('attachments', file, file.name));
+    renderAttachmentList(processed);
+
+    logInfo('Attachments prepared', {
+      count: processed.length,
+      originalSize: files.reduce((sum, file) => sum + file.size, 0),
+      uploadSize: totalSize,
+    });
+
+    return true;
+  }
+
+  /**
+   * Setup funnel and field-level abandonment tracking
+   */
+  function setupFunnelTracking() {
+    funnel.sessionId = generateSubmissionId();
+
+    elements.form.addEventListener('focusin', handleFunnelFocus);
+    elements.form.addEventListener('focusout', handleFunnelBlur);
+
+    window.addEventListener('pagehide', flushFunnelMetrics);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flushFunnelMetrics();
+      }
+    });
+  }
+
+  /**
+   * Get (or create) the funnel record for a tracked field
+   * @param {EventTarget} target - Focus event target
+   * @returns {Object|null} - Field record, or null for untracked elements
+   */
+  function getFunnelField(target) {
+    const name = target && target.name;
+
+    if (!name || elements.inputs[name] !== target) {
+      return null;
+    }
+
+    if (!funnel.fields[name]) {
+      funnel.fields[name] = { focusCount: 0, timeSpent: 0, errors: 0 };
+    }
+
+    return funnel.fields[name];
+  }
+
+  /**
+   * Record a field gaining focus
+   * @param {FocusEvent} event - Focus event
+   */
+  function handleFunnelFocus(event) {
+    const field = getFunnelField(event.target);
+    if (!field) return;
+
+    const name = event.target.name;
+
+    if (!funnel.startedAt) {
+      funnel.startedAt = Date.now();
+    }
+
+    if (!funnel.focusOrder.includes(name)) {
+      funnel.focusOrder.push(name);
+    }
+
+    field.focusCount++;
+    funnel.activeField = name;
+    funnel.activeSince = performance.now();
+    funnel.lastField = name;
+    funnel.isDirty = true;
+  }
+
+  /**
+   * Record a field losing focus
+   */
+  function handleFunnelBlur() {
+    closeActiveFunnelField();
+  }
+
+  /**
+   * Add the time spent in the focused field to its total
+   */
+  function closeActiveFunnelField() {
+    if (!funnel.activeField) return;
+
+    funnel.fields[funnel.activeField].timeSpent += performance.now() - funnel.activeSince;
+    funnel.activeField = null;
+    funnel.isDirty = true;
+  }
+
+  /**
+   * Count a validation error against a field
+   * @param {HTMLInputElement} input - Field that failed validation
+   */
+  function recordFunnelError(input) {
+    const field = getFunnelField(input);
+    if (!field) return;
+
+    field.errors++;
+    funnel.isDirty = true;
+  }
+
+  /**
+   * Record how the visit ended
+   * @param {string} outcome - "submitted" or "queued"
+   */
+  function recordFunnelOutcome(outcome) {
+    funnel.outcome = outcome;
+    funnel.isDirty = true;
+  }
+
+  /**
+   * Build the compact funnel payload
+   * Fields are [focusCount, secondsSpent, errors] tuples keyed by field name.
+   * @returns {Object} - Payload
+   */
+  function getFunnelMetrics() {
+    const fields = {};
+
+    Object.entries(funnel.fields).forEach(([name, field]) => {
+      let timeSpent = field.timeSpent;
+
+      if (funnel.activeField === name) {
+        timeSpent += performance.now() - funnel.activeSince;
+      }
+
+      fields[name] = [field.focusCount, Math.round(timeSpent / 100) / 10, field.errors];
+    });
+
+    return {
+      v: 1,
+      sid: funnel.sessionId,
+      start: funnel.startedAt,
+      dur: funnel.startedAt ? Math.round((Date.now() - funnel.startedAt) / 1000) : 0,
+      order: funnel.focusOrder.slice(),
+      fields,
+      last: funnel.lastField,
+      step: isWizardEnabled() ? state.wizardStep + 1 : null,
+      outcome: funnel.outcome,
+    };
+  }
+
+  /**
+   * Send funnel metrics with sendBeacon (repeated flushes share a session id)
+   */
+  function flushFunnelMetrics() {
+    const endpoint = elements.form.dataset.funnelEndpoint;
+
+    if (!endpoint || !funnel.startedAt || !funnel.isDirty || !navigator.sendBeacon) {
+      return;
+    }
+
+    // Honour the visitor's analytics consent when the event bus is loaded
+    if (window.LagosAnalytics && !window.LagosAnalytics.hasConsent()) {
+      return;
+    }
+
+    closeActiveFunnelField();
+
+    const payload = JSON.stringify(getFunnelMetrics());
+    const queued = navigator.sendBeacon(endpoint, new Blob([payload], { type: 'application/json' }));
+
+    if (queued) {
+      funnel.isDirty = false;
+    } else {
+      logWarning('Funnel metrics beacon was rejected', { size: payload.length });
+    }
+  }
+
+  /**
+   * Handle input change events for real-time validation
+   * @param {Event} event - Input event
+   */
+  function handleInputChange(event) {
+    const input = event.target;
+    
+    // Clear previous error state
+    clearFieldError(input);
+
+    // Validate on change for better UX (async rules wait for blur/submit)
+    if (input.value.trim()) {
+      validateField(input, { async: false });
+    }
+
+    revalidateDependents(input.name);
+  }
+
+  /**
+   * Handle input blur events for validation
+   * @param {Event} event - Blur event
+   */
+  function handleInputBlur(event) {
+    const input = event.target;
+    
+    if (input.value.trim()) {
+      validateField(input);
+    }
+  }
+
+  /**
+   * Handle invalid input events
+   * @param {Event} event - Invalid event
+   */
+  function handleInvalidInput(event) {
+    event.preventDefault();
+    const input = event.target;
+
+    setCustomValidationMessage(input);
+    showFieldError(input);
+  }
+
+  /**
+   * Set custom validation messages based on validity state
+   * @param {HTMLInputElement} input - Input element
+   */
+  function setCustomValidationMessage(input) {
+    if (input.validity.valueMissing) {
+      input.setCustomValidity('This field is required');
+    } else if (input.validity.typeMismatch) {
+      if (input.type === 'email') {
+        input.setCustomValidity('Please enter a valid email address');
+      } else {
+        input.setCustomValidity('Please enter a valid value');
+      }
+    } else if (input.validity.patternMismatch) {
+      input.setCustomValidity(input.title || 'Please match the requested format');
+    } else if (input.validity.tooShort) {
+      input.setCustomValidity(`Please enter at least ${input.minLength} characters`);
+    } else if (input.validity.tooLong) {
+      input.setCustomValidity(`Please enter no more than ${input.maxLength} characters`);
+    }
+  }
+
+  /**
+   * Register a validation rule
+   * @param {string} name - Rule name used in data-validate-* attributes and schemas
+   * @param {Function} validate - (value, param, context) returning true when valid,
+   *   false or an error message when invalid, or a Promise of either
+   * @param {Object} options - { message, validateEmpty }
+   */
+  function registerValidator(name, validate, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('Validator name must be a non-empty string');
+    }
+
+    if (typeof validate !== 'function') {
+      throw new TypeError(`Validator "${name}" must be a function`);
+    }
+
+    validators.set(name, {
+      validate,
+      message: options.message || 'Please enter a valid value',
+      validateEmpty: Boolean(options.validateEmpty),
+    });
+  }
+
+  /**
+   * Replace the schema rules for the given fields
+   * @param {Object} schema - Map of field name to [{ rule, param, message }]
+   */
+  function setValidationSchema(schema) {
+    validationSchema = { ...validationSchema, ...schema };
+  }
+
+  /**
+   * Collect validation rules for a field from the schema and its attributes
+   * @param {HTMLInputElement} input - Input element
+   * @returns {Object[]} - Rules as { rule, param, message }
+   */
+  function getFieldRules(input) {
+    return ValidationRules.collectFieldRules(
+      validationSchema[input.name],
+      Array.from(input.attributes, ({ name, value }) => ({ name, value }))
+    );
+  }
+
+  /**
+   * Build the context handed to validators
+   * @param {HTMLInputElement} input - Input element
+   * @returns {Object} - Validation context
+   */
+  function createValidationContext(input) {
+    return {
+      input,
+      form: elements.form,
+      field: input.name,
+      getValue(name) {
+        const field = elements.form.elements.namedItem(name);
+        return field && typeof field.value === 'string' ? field.value.trim() : '';
+      },
+    };
+  }
+
+  /**
+   * Run the synchronous part of a field's rules
+   * @param {HTMLInputElement} input - Input element
+   * @returns {Object} - { message, pending } where pending holds async outcomes
+   */
+  function evaluateRules(input) {
+    const value = input.value.trim();
+    const context = createValidationContext(input);
+    const pending = [];
+
+    for (const rule of getFieldRules(input)) {
+      const validator = validators.get(rule.rule);
+
+      if (!validator) {
+        logWarning('Unknown validation rule', { field: input.name, rule: rule.rule });
+        continue;
+      }
+
+      if (!value && !validator.validateEmpty) continue;
+
+      let outcome;
+      try {
+        outcome = validator.validate(value, rule.param, context);
+      } catch (error) {
+        logError(`Validator "${rule.rule}" failed`, error);
+        continue;
+      }
+
+      if (outcome && typeof outcome.then === 'function') {
+        pending.push({ rule, validator, outcome });
+        continue;
+      }
+
+      const message = ValidationRules.getRuleMessage(outcome, rule, validator);
+      if (message) {
+        return { message, pending: [] };
+      }
+    }
+
+    return { message: null, pending };
+  }
+
+  /**
+   * Settle async rules and update the field once they resolve
+   * @param {HTMLInputElement} input - Input element
+   * @param {Object[]} pending - Pending async outcomes
+   * @returns {Promise<boolean>} - Validation result
+   */
+  function runAsyncRules(input, pending) {
+    const validation = Promise.all(pending.map(({ rule, validator, outcome }) => {
+      return Promise.resolve(outcome)
+        .then(result => ValidationRules.getRuleMessage(result, rule, validator))
+        .catch(error => {
+          // A validator that cannot reach its backend must not block the lead
+          logError(`Async validator "${rule.rule}" failed`, error);
+          return null;
+        });
+    })).then(messages => {
+      const message = messages.find(Boolean);
+
+      // A newer validation run owns the field's error state
+      if (asyncValidations.get(input) === validation && message) {
+        input.setCustomValidity(message);
+        showFieldError(input);
+      }
+
+      return !message;
+    });
+
+    asyncValidations.set(input, validation);
+    return validation;
+  }
+
+  /**
+   * Validate individual form field
+   * @param {HTMLInputElement} input - Input element to validate
+   * @param {Object} options - { async: false } skips async rules
+   * @returns {boolean} - Validation result (async rules settle separately)
+   */
+  function validateField(input, options = {}) {
+    input.setCustomValidity('');
+    asyncValidations.delete(input);
+
+    // Fields of other services are not part of this submission
+    if (isInactiveServiceField(input)) {
+      clearFieldError(input);
+      return true;
+    }
+
+    const { message, pending } = evaluateRules(input);
+
+    if (message) {
+      input.setCustomValidity(message);
+      showFieldError(input);
+      return false;
+    }
+
+    // HTML5 validation
+    if (!input.checkValidity()) {
+      setCustomValidationMessage(input);
+      showFieldError(input);
+      return false;
+    }
+
+    clearFieldError(input);
+    reportedFieldErrors.delete(input.name);
+
+    if (pending.length > 0 && options.async !== false) {
+      runAsyncRules(input, pending);
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a field including its async rules
+   * @param {HTMLInputElement} input - Input element to validate
+   * @returns {Promise<boolean>} - Validation result
+   */
+  function validateFieldAsync(input) {
+    if (!validateField(input)) {
+      return Promise.resolve(false);
+    }
+
+    return asyncValidations.get(input) || Promise.resolve(true);
+  }
+
+  /**
+   * Re-validate fields with cross-field rules that depend on a changed field
+   * @param {string} fieldName - Name of the changed field
+   */
+  function revalidateDependents(fieldName) {
+    Object.values(elements.inputs).forEach(input => {
+      if (!input || input.name === fieldName) return;
+      if (input.getAttribute('aria-invalid') !== 'true') return;
+
+      const dependsOnField = getFieldRules(input).some(rule => ValidationRules.getRuleDependency(rule) === fieldName);
+      if (dependsOnField) {
+        validateField(input, { async: false });
+      }
+    });
+  }
+
+  ValidationRules.BUILT_IN_VALIDATORS.forEach(([name, validate, options]) => {
+    registerValidator(name, validate, options);
+  });
+
+  registerValidator('attachments', (value, param, context) => {
+    return checkAttachments(Array.from(context.input.files || [])) || true;
+  });
+
+  /**
+   * Show field error message
+   * @param {HTMLInputElement} input - Input element
+   */
+  function showFieldError(input) {
+    const errorId = `${input.id}-error`;
+    const errorElement = document.getElementById(errorId);
+    
+    if (errorElement) {
+      errorElement.textContent = input.validationMessage;
+      errorElement.style.display = 'block';
+    }
+
+    input.setAttribute('aria-invalid', 'true');
+
+    if (reportedFieldErrors.get(input.name) !== input.validationMessage) {
+      reportedFieldErrors.set(input.name, input.validationMessage);
+      recordFunnelError(input);
+      trackEvent('field_error', { field: input.name, error: input.validationMessage });
+    }
+  }
+
+  /**
+   * Clear field error message
+   * @param {HTMLInputElement} input - Input element
+   */
+  function clearFieldError(input) {
+    const errorId = `${input.id}-error`;
+    const errorElement = document.getElementById(errorId);
+    
+    if (errorElement) {
+      errorElement.textContent = '';
+      errorElement.style.display = 'none';
+    }
+
+    input.setAttribute('aria-invalid', 'false');
+    input.setCustomValidity('');
+  }
+
+  /**
+   * Validate entire form including async rules
+   * @returns {Promise<boolean>} - Validation result
+   */
+  async function validateFormAsync() {
+    const inputs = Object.values(elements.inputs).filter(Boolean);
+    const results = await Promise.all(inputs.map(validateFieldAsync));
+
+    return results.every(Boolean);
+  }
+
+  /**
+   * Validate entire form
+   * @returns {boolean} - Validation result
+   */
+  function validateForm() {
+    let isValid = true;
+
+    Object.values(elements.inputs).forEach(input => {
+      if (!input) return;
+
+      if (!validateField(input)) {
+        isValid = false;
+      }
+    });
+
+    return isValid;
+  }
+
+  /**
+   * Adjust spam protection layers
+   * @param {Object} options - Settings to change (see module documentation)
+   */
+  function configureSpamProtection(options = {}) {
+    if (options.captcha && typeof options.captcha.getToken !== 'function') {
+      throw new TypeError('CAPTCHA provider must implement getToken()');
+    }
+
+    Object.keys(spamSettings).forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(options, key)) {
+        spamSettings[key] = options[key];
+      }
+    });
+  }
+
+  /**
+   * Check for spam using honeypot
+   * @returns {boolean} - True if spam detected
+   */
+  function isSpam() {
+    const honeypot = elements.form.querySelector('input[name="website"]');
+    return honeypot && honeypot.value.trim() !== '';
+  }
+
+  /**
+   * Check whether the form was submitted faster than a human could fill it in
+   * @returns {boolean} - True if submitted too quickly
+   */
+  function isSubmittedTooFast() {
+    return Date.now() - state.formRenderedAt < spamSettings.minTimeToSubmit;
+  }
+
+  /**
+   * Read submission timestamps inside the rate limit window
+   * @returns {number[]} - Recent submission timestamps
+   */
+  function getRecentSubmissions() {
+    const cutoff = Date.now() - spamSettings.rateLimitWindow;
+    let timestamps = memorySubmissions;
+
+    try {
+      timestamps = JSON.parse(localStorage.getItem(CONFIG.RATE_LIMIT_STORAGE_KEY)) || [];
+    } catch {
+      // localStorage unavailable (e.g. private browsing); use the in-memory copy
+    }
+
+    return timestamps.filter(timestamp => typeof timestamp === 'number' && timestamp > cutoff);
+  }
+
+  /**
+   * Record a submission for rate limiting (persists across reloads)
+   */
+  function recordSubmission() {
+    const now = Date.now();
+    const recent = getRecentSubmissions();
+    recent.push(now);
+
+    memorySubmissions = recent;
+    try {
+      localStorage.setItem(CONFIG.RATE_LIMIT_STORAGE_KEY, JSON.stringify(recent));
+    } catch (error) {
+      logWarning('Failed to persist rate limit', { error: error.message });
+    }
+
+    state.submissionCount = recent.length;
+    state.lastSubmissionTime = now;
+  }
+
+  /**
+   * Check rate limiting
+   * @returns {boolean} - True if rate limit exceeded
+   */
+  function isRateLimited() {
+    const recent = getRecentSubmissions();
+    state.submissionCount = recent.length;
+
+    return recent.length >= spamSettings.maxSubmissions;
+  }
+
+  /**
+   * Check whether a SHA-256 digest starts with the given number of zero bits
+   * @param {Uint8Array} bytes - Digest bytes
+   * @param {number} bits - Required leading zero bits
+   * @returns {boolean} - True if the digest meets the difficulty
+   */
+  function hasLeadingZeroBits(bytes, bits) {
+    const fullBytes = Math.floor(bits / 8);
+
+    for (let i = 0; i < fullBytes; i++) {
+      if (bytes[i] !== 0) return false;
+    }
+
+    const remainingBits = bits % 8;
+    return remainingBits === 0 || (bytes[fullBytes] >> (8 - remainingBits)) === 0;
+  }
+
+  /**
+   * Find a nonce whose hash with a fresh challenge meets the difficulty
+   * Token format: "<difficulty>:<timestamp>:<random>:<nonce>"
+   * @param {number} difficulty - Required leading zero bits
+   * @returns {Promise<Object>} - { token, createdAt }
+   */
+  async function computeProofOfWork(difficulty) {
+    if (!window.crypto || !window.crypto.subtle) {
+      throw new Error('Web Crypto API not available');
+    }
+
+    const createdAt = Date.now();
+    const random = Array.from(window.crypto.getRandomValues(new Uint8Array(8)))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+    const challenge = `${difficulty}:${createdAt}:${random}`;
+    const encoder = new TextEncoder();
+
+    // Give up well past the expected 2^difficulty attempts
+    const maxAttempts = 2 ** (difficulty + 6);
+
+    for (let nonce = 0; nonce < maxAttempts; nonce += CONFIG.POW_BATCH_SIZE) {
+      const candidates = Array.from({ length: CONFIG.POW_BATCH_SIZE }, (_, i) => nonce + i);
+      const digests = await Promise.all(candidates.map(candidate => {
+        return window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${candidate}`));
+      }));
+
+      const index = digests.findIndex(digest => hasLeadingZeroBits(new Uint8Array(digest), difficulty));
+      if (index !== -1) {
+        return { token: `${challenge}:${candidates[index]}`, createdAt };
+      }
+    }
+
+    throw new Error('Proof-of-work did not converge');
+  }
+
+  /**
+   * Start computing a proof-of-work token in the background
+   * @returns {Promise<Object>} - { token, createdAt }
+   */
+  function prepareProofOfWork() {
+    if (!spamSettings.proofOfWork) {
+      return null;
+    }
+
+    if (!proofOfWork) {
+      proofOfWork = computeProofOfWork(spamSettings.powDifficulty);
+      proofOfWork.catch(() => {
+        proofOfWork = null;
+      });
+    }
+
+    return proofOfWork;
+  }
+
+  /**
+   * Get a fresh proof-of-work token (each token is used once)
+   * @returns {Promise<string>} - Token
+   */
+  async function takeProofOfWorkToken() {
+    let result = await prepareProofOfWork();
+
+    if (Date.now() - result.createdAt > CONFIG.POW_MAX_AGE) {
+      proofOfWork = null;
+      result = await prepareProofOfWork();
+    }
+
+    proofOfWork = null;
+    return result.token;
+  }
+
+  /**
+   * Run every enabled spam protection layer in order
+   * @returns {Promise<Object>} - { passed, tripped, checks, tokens }
+   */
+  async function runSpamChecks() {
+    const checks = {};
+    const tokens = {};
+    const report = tripped => {
+      state.spamCheck = { passed: !tripped, tripped, checks, checkedAt: Date.now() };
+      return { ...state.spamCheck, tokens };
+    };
+
+    const layers = [
+      ['honeypot', spamSettings.honeypot, () => !isSpam()],
+      ['time-trap', spamSettings.timeTrap, () => !isSubmittedTooFast()],
+      ['rate-limit', spamSettings.rateLimit, () => !isRateLimited()],
+    ];
+
+    for (const [name, enabled, check] of layers) {
+      if (!enabled) {
+        checks[name] = 'disabled';
+      } else if (check()) {
+        checks[name] = 'passed';
+      } else {
+        checks[name] = 'tripped';
+        return report(name);
+      }
+    }
+
+    // The token is verified by the receiving server; failing to compute one
+    // (e.g. no Web Crypto on plain HTTP) must not block a genuine lead
+    if (!spamSettings.proofOfWork) {
+      checks['proof-of-work'] = 'disabled';
+    } else {
+      try {
+        tokens.proofOfWork = await takeProofOfWorkToken();
+        checks['proof-of-work'] = 'passed';
+      } catch (error) {
+        logWarning('Proof-of-work unavailable', { error: error.message });
+        checks['proof-of-work'] = 'skipped';
+      }
+    }
+
+    if (!spamSettings.captcha) {
+      checks.captcha = 'disabled';
+    } else {
+      try {
+        tokens.captcha = await spamSettings.captcha.getToken();
+      } catch (error) {
+        logError('CAPTCHA provider failed', error);
+      }
+
+      if (!tokens.captcha) {
+        checks.captcha = 'tripped';
+        return report('captcha');
+      }
+      checks.captcha = 'passed';
+    }
+
+    return report(null);
+  }
+
+  /**
+   * Respond to a tripped spam check
+   * @param {Object} result - Result of runSpamChecks
+   */
+  function handleSpamCheckFailure(result) {
+    logWarning('Spam check tripped', { tripped: result.tripped, checks: result.checks });
+
+    switch (result.tripped) {
+      case 'rate-limit':
+        showErrorMessage('Too many submissions. Please wait a moment and try again.');
+        break;
+
+      case 'captcha':
+        showErrorMessage('Please complete the verification challenge and try again.');
+        break;
+
+      default:
+        showSuccessMessage(); // Show success to fool bots
+    }
+  }
+
+  /**
+   * Handle form submission
+   * @param {Event} event - Submit event
+   */
+  async function handleSubmit(event) {
+    event.preventDefault();
+
+    try {
+      // Prevent double submission
+      if (state.isSubmitting || state.isValidating) {
+        logWarning('Form submission already in progress');
+        return;
+      }
+
+      // Enter on an earlier wizard step advances instead of submitting
+      if (isWizardEnabled() && state.wizardStep < elements.steps.length - 1) {
+        await goToNextStep();
+        return;
+      }
+
+      // Clear previous messages
+      clearFormMessage();
+
+      // Validate form
+      state.isValidating = true;
+      const isValid = await validateFormAsync().finally(() => {
+        state.isValidating = false;
+      });
+
+      if (!isValid) {
+        logWarning('Form validation failed');
+
+        if (isWizardEnabled()) {
+          showFirstInvalidStep();
+        } else {
+          elements.form.reportValidity();
+        }
+        return;
+      }
+
+      // Set submitting state
+      setSubmittingState(true);
+
+      // Spam protection
+      const spamCheck = await runSpamChecks();
+
+      if (!spamCheck.passed) {
+        handleSpamCheckFailure(spamCheck);
+        return;
+      }
+
+      // Collect form data
+      const formData = collectFormData(spamCheck.tokens);
+      state.formData = formData;
+
+      if (elements.attachmentInput && !(await processAttachments(formData))) {
+        logWarning('Attachments exceed size limit after compression');
+        return;
+      }
+
+      // Only attempts that will actually be sent count towards the rate limit
+      recordSubmission();
+      trackEvent('submit', {
+        service: elements.inputs.service?.value || '',
+        transport: resolveTransportConfig().name,
+      });
+
+      // No point trying the network while offline
+      if (!navigator.onLine) {
+        logInfo('Browser offline, queueing submission');
+        if (await queueSubmission(formData, 'offline')) return;
+      }
+
+      logInfo('Submitting form', { service: formData.get('service') });
+
+      try {
+        // Submit through the configured transport with timeout
+        const result = await submitWithTimeout(formData);
+
+        if (result.ok) {
+          handleSubmissionSuccess(result);
+        } else if (isRetryableResult(result) && await queueSubmission(formData, `status ${result.status}`)) {
+          return;
+        } else {
+          handleSubmissionError(result);
+        }
+      } catch (error) {
+        if (isNetworkError(error) && await queueSubmission(formData, error.message)) {
+          return;
+        }
+
+        throw error;
+      }
+
+    } catch (error) {
+      handleSubmissionError(error);
+    } finally {
+      setSubmittingState(false);
+    }
+  }
+
+  /**
+   * Collect form data
+   * @param {Object} tokens - Spam protection tokens ({ proofOfWork, captcha })
+   * @returns {FormData} - Form data object
+   */
+  function collectFormData(tokens = {}) {
+    const formData = new FormData(elements.form);
+
+    // Remove honeypot field
+    formData.delete('website');
+
+    if (tokens.proofOfWork) {
+      formData.append('_pow', tokens.proofOfWork);
+    }
+
+    if (tokens.captcha) {
+      formData.append(spamSettings.captcha.fieldName || 'captcha_token', tokens.captcha);
+    }
+
+    // Normalise the phone number to E.164 and tag the Nigerian network
+    const phone = ValidationRules.parsePhoneNumber(String(formData.get('phone') || ''));
+    if (phone) {
+      formData.set('phone', phone.e164);
+
+      if (phone.prefix) {
+        formData.append('phone_prefix', phone.prefix);
+      }
+
+      if (phone.carrier) {
+        formData.append('phone_carrier', phone.carrier);
+      }
+    }
+
+    // Add metadata
+    formData.append('_subject', 'New Contact Form Submission - Lagos Software Consulting');
+    formData.append('_replyto', formData.get('email'));
+    formData.append('_timestamp', new Date().toISOString());
+    formData.append('_source', 'Lagos Software Consulting Website');
+    formData.append('_locale', document.documentElement.lang || navigator.language || 'en');
+    formData.append('_submission_id', generateSubmissionId());
+
+    return formData;
+  }
+
+  /**
+   * Submit form data through the active transport with timeout
+   * @param {FormData} formData - Form data to submit
+   * @param {Object} options - { background } for retries nobody is waiting
+   *   on, which skip transports that navigate away from the page
+   * @returns {Promise<Object>} - Transport result
+   */
+  async function submitWithTimeout(formData, options = {}) {
+    const config = resolveTransportConfig();
+    const canUse = name => !(options.background && transports.get(name)?.navigates);
+
+    if (!canUse(config.name)) {
+      throw new Error(`Transport "${config.name}" cannot send in the background`);
+    }
+
+    try {
+      return await sendWithTransport(config.name, formData, config.endpoint);
+    } catch (error) {
+      if (!config.fallback || config.fallback === config.name || !canUse(config.fallback)) {
+        throw error;
+      }
+
+      logWarning('Primary transport failed, using fallback', {
+        transport: config.name,
+        fallback: config.fallback,
+        error: error.message,
+      });
+
+      return sendWithTransport(config.fallback, formData, '');
+    }
+  }
+
+  /**
+   * Send form data with a named transport, aborting after the timeout
+   * @param {string} name - Registered transport name
+   * @param {FormData} formData - Form data to submit
+   * @param {string} endpoint - Transport endpoint
+   * @returns {Promise<Object>} - Transport result
+   */
+  function sendWithTransport(name, formData, endpoint) {
+    const transport = transports.get(name);
+
+    if (!transport) {
+      return Promise.reject(new Error(`Unknown transport "${name}"`));
+    }
+
+    const controller = new AbortController();
+    let timeoutId;
+    let rejectTimeout;
+
+    const startTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        rejectTimeout(new DOMException('Submission timed out', 'AbortError'));
+      }, CONFIG.SUBMISSION_TIMEOUT);
+    };
+
+    // Custom adapters may ignore the signal, so the timeout also rejects
+    const timeout = new Promise((resolve, reject) => {
+      rejectTimeout = reject;
+      startTimeout();
+    });
 
-    // Validate on change for better UX
-    if (input.value.trim()) {
-      validateField(input);
-    }
+    const request = Promise.resolve(transport.send(formData, {
+      endpoint,
+      signal: controller.signal,
+      form: elements.form,
+      onUploadProgress(loaded, total) {
+        // Large uploads on slow links only time out once progress stalls
+        startTimeout();
+        updateAttachmentProgress(loaded, total);
+      },
+    }));
+
+    return Promise.race([request, timeout]).finally(() => {
+      clearTimeout(timeoutId);
+    });
   }
 
   /**
-   * Handle input blur events for validation
-   * @param {Event} event - Blur event
+   * Generate a unique submission id (used by receivers to drop duplicates)
+   * @returns {string} - Submission id
    */
-  function handleInputBlur(event) {
-    const input = event.target;
-    
-    if (input.value.trim()) {
-      validateField(input);
+  function generateSubmissionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
     }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
   }
 
   /**
-   * Handle invalid input events
-   * @param {Event} event - Invalid event
+   * Check whether an error means the request never reached the server
+   * @param {Error} error - Error thrown while submitting
+   * @returns {boolean} - True for network failures and timeouts
    */
-  function handleInvalidInput(event) {
-    event.preventDefault();
-    const input = event.target;
-
-    setCustomValidationMessage(input);
-    showFieldError(input);
+  function isNetworkError(error) {
+    return error.name === 'AbortError' || error instanceof TypeError;
   }
 
   /**
-   * Set custom validation messages based on validity state
-   * @param {HTMLInputElement} input - Input element
+   * Check whether a server response is worth retrying later
+   * @param {Object} result - Transport result
+   * @returns {boolean} - True for rate limiting and server errors
    */
-  function setCustomValidationMessage(input) {
-    if (input.validity.valueMissing) {
-      input.setCustomValidity('This field is required');
-    } else if (input.validity.typeMismatch) {
-      if (input.type === 'email') {
-        input.setCustomValidity('Please enter a valid email address');
-      } else {
-        input.setCustomValidity('Please enter a valid value');
-      }
-    } else if (input.validity.patternMismatch) {
-      input.setCustomValidity(input.title || 'Please match the requested format');
-    } else if (input.validity.tooShort) {
-      input.setCustomValidity(`Please enter at least ${input.minLength} characters`);
-    } else if (input.validity.tooLong) {
-      input.setCustomValidity(`Please enter no more than ${input.maxLength} characters`);
-    }
+  function isRetryableResult(result) {
+    return result.status === 429 || result.status >= 500;
   }
 
   /**
-   * Validate individual form field
-   * @param {HTMLInputElement} input - Input element to validate
-   * @returns {boolean} - Validation result
+   * Setup the offline submission queue and retry triggers
    */
-  function validateField(input) {
-    const fieldName = input.name;
-    const value = input.value.trim();
+  function setupSubmissionQueue() {
+    window.addEventListener('online', () => {
+      logInfo('Connection restored, flushing submission queue');
+      flushQueue();
+    });
 
-    // Custom validation rules
-    switch (fieldName) {
-      case 'name':
-        if (!CONFIG.NAME_PATTERN.test(value)) {
-          input.setCustomValidity('Please enter a valid name (at least 2 characters, letters only)');
-          showFieldError(input);
-          return false;
-        }
-        break;
+    // Retry anything left over from a previous visit
+    loadQueue()
+      .then(items => {
+        updateQueueState(items);
 
-      case 'email':
-        if (!isValidEmail(value)) {
-          input.setCustomValidity('Please enter a valid email address');
-          showFieldError(input);
-          return false;
+        if (items.length > 0) {
+          flushQueue();
         }
-        break;
+      })
+      .catch(error => logError('Failed to load submission queue', error));
+  }
 
-      case 'phone':
-        if (value && !CONFIG.PHONE_PATTERN.test(value.replace(/[\s\-]/g, ''))) {
-          input.setCustomValidity('Please enter a valid phone number (10-15 digits)');
-          showFieldError(input);
-          return false;
-        }
-        break;
+  /**
+   * Open the IndexedDB database that backs the queue
+   * @returns {Promise<IDBDatabase>} - Database handle
+   */
+  function openQueueDatabase() {
+    return new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
 
-      case 'message':
-        if (value.length < CONFIG.MIN_MESSAGE_LENGTH) {
-          input.setCustomValidity(`Please enter at least ${CONFIG.MIN_MESSAGE_LENGTH} characters`);
-          showFieldError(input);
-          return false;
-        }
-        if (value.length > CONFIG.MAX_MESSAGE_LENGTH) {
-          input.setCustomValidity(`Please enter no more than ${CONFIG.MAX_MESSAGE_LENGTH} characters`);
-          showFieldError(input);
-          return false;
-        }
-        break;
-    }
+      const request = indexedDB.open(CONFIG.QUEUE_DB_NAME, 1);
 
-    // HTML5 validation
-    if (!input.checkValidity()) {
-      setCustomValidationMessage(input);
-      showFieldError(input);
-      return false;
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CONFIG.QUEUE_STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get the queue database, falling back to localStorage when unavailable
+   * @returns {Promise<IDBDatabase|null>} - Database handle or null
+   */
+  function getQueueDatabase() {
+    if (!queueDatabase) {
+      queueDatabase = openQueueDatabase().catch(error => {
+        logWarning('IndexedDB unavailable, queueing in localStorage', { error: error.message });
+        return null;
+      });
     }
 
-    clearFieldError(input);
-    return true;
+    return queueDatabase;
   }
 
   /**
-   * Validate email format
-   * @param {string} email - Email address to validate
-   * @returns {boolean} - Validation result
+   * Load queued submissions from storage
+   * @returns {Promise<Object[]>} - Queued submissions
    */
-  function isValidEmail(email) {
-    const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailPattern.test(email);
+  async function loadQueue() {
+    const db = await getQueueDatabase();
+
+    if (!db) {
+      try {
+        return JSON.parse(localStorage.getItem(CONFIG.QUEUE_STORAGE_KEY)) || [];
+      } catch {
+        return [];
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = db
+        .transaction(CONFIG.QUEUE_STORE_NAME, 'readonly')
+        .objectStore(CONFIG.QUEUE_STORE_NAME)
+        .getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
   }
 
   /**
-   * Show field error message
-   * @param {HTMLInputElement} input - Input element
+   * Replace the stored queue
+   * @param {Object[]} items - Queued submissions
+   * @returns {Promise<void>}
    */
-  function showFieldError(input) {
-    const errorId = `${input.id}-error`;
-    const errorElement = document.getElementById(errorId);
-    
-    if (errorElement) {
-      errorElement.textContent = input.validationMessage;
-      errorElement.style.display = 'block';
+  async function saveQueue(items) {
+    const db = await getQueueDatabase();
+
+    if (!db) {
+      // localStorage only holds strings, so file values cannot be kept
+      const serializable = items.map(item => ({
+        ...item,
+        entries: item.entries.filter(([, value]) => typeof value === 'string'),
+      }));
+      localStorage.setItem(CONFIG.QUEUE_STORAGE_KEY, JSON.stringify(serializable));
+      return;
     }
 
-    input.setAttribute('aria-invalid', 'true');
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(CONFIG.QUEUE_STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(CONFIG.QUEUE_STORE_NAME);
+
+      store.clear();
+      items.forEach(item => store.put(item));
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
 
   /**
-   * Clear field error message
-   * @param {HTMLInputElement} input - Input element
+   * Build a content fingerprint used to detect duplicate queued submissions
+   * @param {Array} entries - FormData entries
+   * @returns {string} - Fingerprint
    */
-  function clearFieldError(input) {
-    const errorId = `${input.id}-error`;
-    const errorElement = document.getElementById(errorId);
-    
-    if (errorElement) {
-      errorElement.textContent = '';
-      errorElement.style.display = 'none';
+  function fingerprintEntries(entries) {
+    const content = entries
+      .filter(([key, value]) => !key.startsWith('_') && typeof value === 'string')
+      .map(([key, value]) => `${key}=${value.trim()}`)
+      .join('&');
+
+    let hash = 5381;
+    for (let i = 0; i < content.length; i++) {
+      hash = ((hash << 5) + hash + content.charCodeAt(i)) | 0;
     }
 
-    input.setAttribute('aria-invalid', 'false');
-    input.setCustomValidity('');
+    return (hash >>> 0).toString(16);
   }
 
   /**
-   * Validate entire form
-   * @returns {boolean} - Validation result
+   * Persist a submission for later delivery
+   * @param {FormData} formData - Form data to queue
+   * @param {string} reason - Why the submission could not be sent
+   * @returns {Promise<boolean>} - False if an identical submission is already queued
    */
-  function validateForm() {
-    let isValid = true;
+  async function enqueueSubmission(formData, reason) {
+    const entries = Array.from(formData.entries());
+    const fingerprint = fingerprintEntries(entries);
+    const items = await loadQueue();
 
-    Object.values(elements.inputs).forEach(input => {
-      if (!input) return;
+    if (items.some(item => item.fingerprint === fingerprint)) {
+      logInfo('Identical submission already queued', { fingerprint });
+      return false;
+    }
 
-      if (!validateField(input)) {
-        isValid = false;
-      }
+    const now = Date.now();
+    items.push({
+      id: formData.get('_submission_id') || generateSubmissionId(),
+      fingerprint,
+      entries,
+      queuedAt: now,
+      attempts: 0,
+      nextAttemptAt: now + CONFIG.QUEUE_RETRY_BASE_DELAY,
+      lastError: reason,
     });
 
-    return isValid;
+    await saveQueue(items);
+    updateQueueState(items);
+    scheduleQueueFlush(items);
+
+    logInfo('Submission queued', { reason, queueLength: items.length });
+    return true;
   }
 
   /**
-   * Check for spam using honeypot
-   * @returns {boolean} - True if spam detected
+   * Queue a submission and tell the user
+   * @param {FormData} formData - Form data to queue
+   * @param {string} reason - Why the submission could not be sent
+   * @returns {Promise<boolean>} - True if the submission is safely stored
    */
-  function isSpam() {
-    const honeypot = elements.form.querySelector('input[name="website"]');
-    return honeypot && honeypot.value.trim() !== '';
+  async function queueSubmission(formData, reason) {
+    try {
+      const added = await enqueueSubmission(formData, reason);
+      handleSubmissionQueued(added, reason);
+      return true;
+    } catch (error) {
+      logError('Failed to queue submission', error);
+      return false;
+    }
   }
 
   /**
-   * Check rate limiting
-   * @returns {boolean} - True if rate limit exceeded
+   * Retry delivery of queued submissions that are due
+   * @returns {Promise<void>}
    */
-  function isRateLimited() {
-    const now = Date.now();
-    const timeSinceLastSubmission = now - state.lastSubmissionTime;
-
-    if (timeSinceLastSubmission > CONFIG.RATE_LIMIT_WINDOW) {
-      // Reset counter if outside window
-      state.submissionCount = 0;
-      state.lastSubmissionTime = now;
-      return false;
+  function flushQueue() {
+    if (state.isFlushingQueue || !navigator.onLine) {
+      return Promise.resolve();
     }
 
-    if (state.submissionCount >= CONFIG.MAX_SUBMISSIONS_PER_WINDOW) {
-      return true;
+    // Keep other open tabs from delivering the same queue at the same time
+    if (navigator.locks && typeof navigator.locks.request === 'function') {
+      return navigator.locks.request(
+        CONFIG.QUEUE_STORE_NAME,
+        { ifAvailable: true },
+        lock => (lock ? processQueue() : undefined)
+      ).catch(error => logError('Failed to flush submission queue', error));
     }
 
-    return false;
+    return processQueue();
   }
 
   /**
-   * Handle form submission
-   * @param {Event} event - Submit event
+   * Deliver due queued submissions, rescheduling failures with backoff
+   * @returns {Promise<void>}
    */
-  async function handleSubmit(event) {
-    event.preventDefault();
-
-    try {
-      // Prevent double submission
-      if (state.isSubmitting) {
-        logWarning('Form submission already in progress');
-        return;
-      }
+  async function processQueue() {
+    state.isFlushingQueue = true;
+    clearTimeout(queueFlushTimer);
 
-      // Clear previous messages
-      clearFormMessage();
+    const removed = new Set();
+    const updated = new Map();
+    let delivered = 0;
 
-      // Validate form
-      if (!validateForm()) {
-        logWarning('Form validation failed');
-        elements.form.reportValidity();
-        return;
-      }
+    try {
+      const now = Date.now();
+      const items = await loadQueue();
+
+      for (const item of items) {
+        if (now - item.queuedAt > CONFIG.QUEUE_MAX_AGE) {
+          logWarning('Dropping expired queued submission', { id: item.id });
+          removed.add(item.id);
+          continue;
+        }
 
-      // Spam protection
-      if (isSpam()) {
-        logWarning('Spam detected via honeypot');
-        showSuccessMessage(); // Show success to fool bots
-        return;
-      }
+        if (item.nextAttemptAt > now) continue;
+
+        let retryReason = null;
+
+        try {
+          const formData = new FormData();
+          item.entries.forEach(([key, value]) => formData.append(key, value));
+
+          // The server rejects tokens older than POW_MAX_AGE, so each resend gets a new one
+          if (formData.has('_pow')) {
+            const token = await takeProofOfWorkToken().catch(error => {
+              logWarning('Could not refresh proof-of-work token', { id: item.id, error: error.message });
+              return null;
+            });
+
+            if (token) {
+              formData.set('_pow', token);
+            }
+          }
+
+          const result = await submitWithTimeout(formData, { background: true });
+
+          if (result.ok) {
+            delivered++;
+            removed.add(item.id);
+          } else if (isRetryableResult(result)) {
+            retryReason = `status ${result.status}`;
+          } else {
+            // The server rejected the content itself; resending cannot help
+            logError('Queued submission rejected', result);
+            removed.add(item.id);
+          }
+        } catch (error) {
+          retryReason = error.message;
+        }
 
-      // Rate limiting
-      if (isRateLimited()) {
-        showErrorMessage('Too many submissions. Please wait a moment and try again.');
-        logWarning('Rate limit exceeded');
-        return;
+        if (retryReason) {
+          const attempts = item.attempts + 1;
+          updated.set(item.id, {
+            ...item,
+            attempts,
+            nextAttemptAt: Date.now() + getRetryDelay(attempts),
+            lastError: retryReason,
+          });
+        }
       }
 
-      // Set submitting state
-      setSubmittingState(true);
-      state.submissionCount++;
-
-      // Collect form data
-      const formData = collectFormData();
-      state.formData = formData;
-
-      logInfo('Submitting form', { service: formData.get('service') });
+      // Reload so submissions queued while this flush ran are kept
+      const latest = await loadQueue();
+      const remaining = latest
+        .filter(item => !removed.has(item.id))
+        .map(item => updated.get(item.id) || item);
 
-      // Submit to Formspree with timeout
-      const response = await submitWithTimeout(formData);
+      await saveQueue(remaining);
+      updateQueueState(remaining);
+      scheduleQueueFlush(remaining);
 
-      if (response.ok) {
-        handleSubmissionSuccess();
-      } else {
-        const errorData = await response.json().catch(() => ({}));
-        handleSubmissionError(errorData);
+      if (delivered > 0) {
+        logInfo('Delivered queued submissions', { delivered, remaining: remaining.length });
+        handleQueueDelivered(delivered);
       }
-
     } catch (error) {
-      handleSubmissionError(error);
+      logError('Failed to flush submission queue', error);
     } finally {
-      setSubmittingState(false);
+      state.isFlushingQueue = false;
     }
   }
 
   /**
-   * Collect form data
-   * @returns {FormData} - Form data object
+   * Calculate the exponential backoff delay for a retry attempt
+   * @param {number} attempts - Number of failed attempts so far
+   * @returns {number} - Delay in milliseconds
    */
-  function collectFormData() {
-    const formData = new FormData(elements.form);
+  function getRetryDelay(attempts) {
+    const delay = Math.min(
+      CONFIG.QUEUE_RETRY_BASE_DELAY * 2 ** attempts,
+      CONFIG.QUEUE_RETRY_MAX_DELAY
+    );
+
+    // Jitter so that many clients coming back online do not retry in lockstep
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
 
-    // Remove honeypot field
-    formData.delete('website');
+  /**
+   * Schedule the next queue flush for the earliest due submission
+   * @param {Object[]} items - Queued submissions
+   */
+  function scheduleQueueFlush(items) {
+    clearTimeout(queueFlushTimer);
 
-    // Add metadata
-    formData.append('_subject', 'New Contact Form Submission - Lagos Software Consulting');
-    formData.append('_replyto', formData.get('email'));
-    formData.append('_timestamp', new Date().toISOString());
-    formData.append('_source', 'Lagos Software Consulting Website');
+    if (items.length === 0) return;
 
-    return formData;
+    const nextAttemptAt = Math.min(...items.map(item => item.nextAttemptAt));
+    queueFlushTimer = setTimeout(flushQueue, Math.max(0, nextAttemptAt - Date.now()));
   }
 
   /**
-   * Submit form data with timeout
-   * @param {FormData} formData - Form data to submit
-   * @returns {Promise<Response>} - Fetch response
+   * Mirror the queue into public state (without field values)
+   * @param {Object[]} items - Queued submissions
    */
-  function submitWithTimeout(formData) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.SUBMISSION_TIMEOUT);
+  function updateQueueState(items) {
+    state.queue = items.map(({ id, queuedAt, attempts, nextAttemptAt, lastError }) => ({
+      id,
+      queuedAt,
+      attempts,
+      nextAttemptAt,
+      lastError,
+    }));
+  }
 
-    return fetch(CONFIG.FORMSPREE_ENDPOINT, {
-      method: 'POST',
-      body: formData,
-      headers: {
-        'Accept': 'application/json'
-      },
-      signal: controller.signal
-    }).finally(() => {
-      clearTimeout(timeoutId);
-    });
+  /**
+   * Handle a submission that was queued for later delivery
+   * @param {boolean} added - False if it was already in the queue
+   * @param {string} reason - Why it was queued: "offline", "status <code>"
+   *   or a network error message
+   */
+  function handleSubmissionQueued(added, reason) {
+    const isServerError = /^status \d+$/.test(reason);
+    const cause = reason === 'offline'
+      ? 'You appear to be offline.'
+      : isServerError
+        ? 'Our server is busy at the moment.'
+        : 'We could not reach our server.';
+    const retry = isServerError
+      ? 'will be sent automatically shortly'
+      : 'will be sent automatically when your connection returns';
+
+    showQueuedMessage(added
+      ? `${cause} Your message has been saved on this device and ${retry}.`
+      : `This message is already saved and ${retry}.`);
+    recordFunnelOutcome('queued');
+    clearDraft();
+    resetForm();
+  }
+
+  /**
+   * Handle delivery of previously queued submissions
+   * @param {number} count - Number of submissions delivered
+   */
+  function handleQueueDelivered(count) {
+    if (state.isSubmitting || !elements.formMessage) return;
+
+    elements.formMessage.className = 'form-message success';
+    elements.formMessage.textContent = count === 1
+      ? 'Your saved message has now been sent. We will get back to you within 24 hours.'
+      : `Your ${count} saved messages have now been sent. We will get back to you within 24 hours.`;
+    elements.formMessage.setAttribute('role', 'status');
+
+    announceToScreenReader('Your saved message has been sent.');
   }
 
   /**
    * Handle successful form submission
+   * @param {Object} result - Transport result
    */
-  function handleSubmissionSuccess() {
+  function handleSubmissionSuccess(result = {}) {
     logInfo('Form submitted successfully');
     
-    showSuccessMessage();
+    trackEvent('success', {
+      service: elements.inputs.service?.value || '',
+    });
+    recordFunnelOutcome('submitted');
+
+    // Backends that send an auto-reply (e.g. server/receiver.js) say so
+    const confirmationEmail = result.data && result.data.confirmationSent
+      ? elements.inputs.email?.value.trim()
+      : '';
+
+    const lead = getLeadSummary();
+
+    showSuccessMessage(confirmationEmail);
+    clearDraft();
     resetForm();
 
-    // Track success (if analytics available)
-    if (typeof gtag === 'function') {
-      gtag('event', 'form_submission', {
-        event_category: 'contact',
-        event_label: 'success'
-      });
+    // A mail client hand-off leaves no stored lead to follow up on
+    if (!(result.data && result.data.handoff)) {
+      offerMeetingBooking(lead);
+    }
+  }
+
+  /**
+   * Summarise the submitted lead for follow-ups (read before the form resets)
+   * @returns {Object} - { id, name, email, service }
+   */
+  function getLeadSummary() {
+    const service = elements.inputs.service;
+
+    return {
+      id: String(state.formData?.get('_submission_id') || ''),
+      name: elements.inputs.name?.value.trim() || '',
+      email: elements.inputs.email?.value.trim() || '',
+      service: service && service.selectedIndex > 0
+        ? service.options[service.selectedIndex].text.trim()
+        : '',
+    };
+  }
+
+  /**
+   * Open the discovery call scheduler when booking is enabled on the form
+   * @param {Object} lead - Lead from getLeadSummary()
+   */
+  function offerMeetingBooking(lead) {
+    const feed = elements.form.dataset.schedulerFeed || '';
+
+    if (!(feed || elements.form.hasAttribute('data-scheduler')) || !lead.id) return;
+
+    if (!window.MeetingScheduler) {
+      logWarning('Meeting booking is enabled but js/meeting-scheduler.js is not loaded');
+      return;
     }
+
+    window.MeetingScheduler.open(lead, {
+      feed,
+      anchor: elements.form,
+      submit: fields => submitFollowUp(lead, fields),
+    }).then(opened => {
+      if (opened) {
+        announceToScreenReader('You can now book a discovery call below the form.');
+      }
+    }).catch(error => {
+      logWarning('Could not open the meeting scheduler', { error: error.message });
+    });
+  }
+
+  /**
+   * Send extra details for an earlier submission through the active transport
+   * @param {Object} lead - Lead from getLeadSummary()
+   * @param {Object} fields - Follow-up fields (e.g. meeting_start)
+   * @returns {Promise<Object>} - Transport result
+   */
+  function submitFollowUp(lead, fields) {
+    const formData = new FormData();
+
+    // Name and email keep the follow-up readable in inbox-based backends
+    formData.append('name', lead.name);
+    formData.append('email', lead.email);
+
+    Object.entries(fields).forEach(([key, value]) => {
+      formData.append(key, value);
+    });
+
+    formData.append('_subject', 'Discovery Call Booked - Lagos Software Consulting');
+    formData.append('_replyto', lead.email);
+    formData.append('_timestamp', new Date().toISOString());
+    formData.append('_source', 'Lagos Software Consulting Website');
+    formData.append('_locale', document.documentElement.lang || navigator.language || 'en');
+    formData.append('_followup_to', lead.id);
+    formData.append('_submission_id', generateSubmissionId());
+
+    logInfo('Submitting follow-up', { lead: lead.id });
+
+    return submitWithTimeout(formData);
   }
 
   /**
@@ -515,14 +3083,10 @@
       showErrorMessage('An unexpected error occurred. Please try again later.');
     }
 
-    // Track error (if analytics available)
-    if (typeof gtag === 'function') {
-      gtag('event', 'form_submission', {
-        event_category: 'contact',
-        event_label: 'error',
-        event_value: error.message || 'unknown'
-      });
-    }
+    trackEvent('error', {
+      error: error.name === 'AbortError' ? 'timeout' : (error.message || 'unknown'),
+      status: error.status || 0,
+    });
   }
 
   /**
@@ -545,18 +3109,36 @@
 
   /**
    * Show success message
+   * @param {string} confirmationEmail - Address the backend sent a confirmation to
    */
-  function showSuccessMessage() {
+  function showSuccessMessage(confirmationEmail) {
     if (!elements.formMessage) return;
 
     elements.formMessage.className = 'form-message success';
-    elements.formMessage.textContent = 'Thank you for your message! We will get back to you within 24 hours.';
+    elements.formMessage.textContent = confirmationEmail
+      ? `Thank you for your message! We will get back to you within 24 hours. A confirmation has been sent to ${confirmationEmail}.`
+      : 'Thank you for your message! We will get back to you within 24 hours.';
     elements.formMessage.setAttribute('role', 'status');
 
     // Announce to screen readers
     announceToScreenReader('Form submitted successfully. Thank you for your message.');
   }
 
+  /**
+   * Show queued message
+   * @param {string} message - Message to display
+   */
+  function showQueuedMessage(message) {
+    if (!elements.formMessage) return;
+
+    elements.formMessage.className = 'form-message queued';
+    elements.formMessage.textContent = message;
+    elements.formMessage.setAttribute('role', 'status');
+
+    // Announce to screen readers
+    announceToScreenReader(message);
+  }
+
   /**
    * Show error message
    * @param {string} message - Error message to display
@@ -587,6 +3169,7 @@
    */
   function resetForm() {
     elements.form.reset();
+    updateServiceFields();
 
     // Clear all error states
     Object.values(elements.inputs).forEach(input => {
@@ -597,9 +3180,13 @@
 
     // Reset state
     state.formData = null;
+    renderAttachmentList([]);
 
     // Focus on first field for better UX
-    if (elements.inputs.name) {
+    if (isWizardEnabled()) {
+      showStep(0, { focus: false });
+      focusStep(0);
+    } else if (elements.inputs.name) {
       elements.inputs.name.focus();
     }
   }
@@ -627,6 +3214,17 @@
     }, 1000);
   }
 
+  /**
+   * Publish an analytics event (no-op when js/analytics.js is not loaded)
+   * @param {string} type - Event type
+   * @param {Object} properties - Event properties (never field values)
+   */
+  function trackEvent(type, properties = {}) {
+    if (window.LagosAnalytics) {
+      window.LagosAnalytics.track(type, properties);
+    }
+  }
+
   /**
    * Log info message
    * @param {string} message - Log message
@@ -664,8 +3262,17 @@
   // Expose public API for testing and external control
   window.ContactForm = Object.freeze({
     validateForm,
+    validateFormAsync,
+    registerValidator,
+    setValidationSchema,
+    configureSpamProtection,
     resetForm,
-    getState: () => ({ ...state }),
+    registerTransport,
+    useTransport,
+    prefill,
+    flushQueue,
+    getFunnelMetrics,
+    getState: () => ({ ...state, queue: state.queue.slice() }),
   });
 
 })();
\ No newline at end of file
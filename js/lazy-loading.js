@@ -11,6 +11,14 @@
  * - Fallback for older browsers
  * - Loading state management
  * - Performance-optimized loading strategies
+ * - Format negotiation (AVIF, WebP) limited to the files the build's image
+ *   manifest lists, with srcset built from its width derivatives
+ * - <picture> markup from the build: data-srcset on its <source>s is
+ *   activated together with the image
+ *
+ * The manifest is read from image-manifest.json next to the page, or from the
+ * URL in a data-image-manifest attribute on this script's <script> tag.
+ * Without a manifest (e.g. the unbuilt source tree) images load as written.
  * 
  * @module LazyLoading
  */
@@ -44,10 +52,30 @@
     bgAttribute: 'data-bg',
     
     // Performance
+    enableAVIF: true,
     enableWebP: true,
     enableProgressiveJPEG: true,
+    manifestUrl: 'image-manifest.json',
   });
 
+  /**
+   * Output formats in order of preference (smallest files first)
+   */
+  const FORMAT_PREFERENCE = Object.freeze(['avif', 'webp', 'jpeg', 'png', 'svg']);
+
+  // 2x2 AVIF used to test decoding support
+  const AVIF_TEST_IMAGE = 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=';
+
+  // Manifest location, overridable on the <script> tag
+  const manifestUrl = new URL(
+    document.currentScript?.getAttribute('data-image-manifest') || CONFIG.manifestUrl,
+    document.baseURI
+  );
+
+  // Pending AVIF check and manifest request, shared by all images
+  let avifSupport = null;
+  let imageManifest = null;
+
   /**
    * Browser capability detection
    */
@@ -69,6 +97,97 @@
     return false;
   }
 
+  /**
+   * Check AVIF support (decoding is asynchronous, so this is a promise)
+   * @returns {Promise<boolean>} Resolves true if AVIF images decode
+   */
+  function checkAvifSupport() {
+    return new Promise((resolve) => {
+      const image = new Image();
+      image.onload = () => resolve(image.width > 0);
+      image.onerror = () => resolve(false);
+      image.src = AVIF_TEST_IMAGE;
+    });
+  }
+
+  /**
+   * Resolve the formats this browser can display
+   * @returns {Promise<Set<string>>} Supported format names
+   */
+  async function getSupportedFormats() {
+    avifSupport = avifSupport || checkAvifSupport();
+
+    const formats = new Set(['jpeg', 'png', 'svg']);
+
+    if (CAPABILITIES.webP && CONFIG.enableWebP) {
+      formats.add('webp');
+    }
+
+    if (CONFIG.enableAVIF && await avifSupport) {
+      formats.add('avif');
+    }
+
+    return formats;
+  }
+
+  /**
+   * Key manifest entries by their default file as well, so references the
+   * build rewrote to fingerprinted names still find their entry
+   * @param {Object} manifest - Manifest keyed by source path
+   * @returns {Object} Manifest keyed by source path and default file
+   */
+  function indexImageManifest(manifest) {
+    const indexed = { ...manifest };
+
+    Object.values(manifest).forEach((entry) => {
+      if (entry && entry.src && !indexed[entry.src]) {
+        indexed[entry.src] = entry;
+      }
+    });
+
+    return indexed;
+  }
+
+  /**
+   * Load the build's image manifest (once; an empty one if unavailable)
+   * @returns {Promise<Object>} Manifest keyed by source path
+   */
+  function loadImageManifest() {
+    if (!imageManifest) {
+      imageManifest = fetch(manifestUrl, { credentials: 'same-origin' })
+        .then((response) => (response.ok ? response.json() : {}))
+        .then(indexImageManifest)
+        .catch(() => ({}));
+    }
+
+    return imageManifest;
+  }
+
+  /**
+   * Map an image URL to its manifest key (path relative to the manifest)
+   * @param {string} src - Image URL as written in the page
+   * @returns {string|null} Manifest key, or null for other origins
+   */
+  function getManifestKey(src) {
+    const url = new URL(src, document.baseURI);
+    const base = manifestUrl.pathname.replace(/[^/]*$/, '');
+
+    if (url.origin !== manifestUrl.origin || !url.pathname.startsWith(base)) {
+      return null;
+    }
+
+    return decodeURIComponent(url.pathname.slice(base.length));
+  }
+
+  /**
+   * Resolve a manifest path to a URL usable in the page
+   * @param {string} file - Path relative to the manifest
+   * @returns {string} URL
+   */
+  function getManifestFileUrl(file) {
+    return new URL(file, manifestUrl).href;
+  }
+
   /**
    * Get connection speed category
    * @returns {string} Connection speed category
@@ -268,19 +387,25 @@
      * @param {HTMLImageElement} img - Image element
      * @returns {Promise<void>}
      */
-    loadImage(img) {
-      return new Promise((resolve, reject) => {
-        const src = img.getAttribute(this.config.srcAttribute);
-        const srcset = img.getAttribute(this.config.srcsetAttribute);
-        const sizes = img.getAttribute(this.config.sizesAttribute);
+    async loadImage(img) {
+      const src = img.getAttribute(this.config.srcAttribute);
 
-        if (!src) {
-          reject(new Error('No source URL provided'));
-          return;
-        }
+      if (!src) {
+        throw new Error('No source URL provided');
+      }
+
+      // Inside <picture> the browser picks the format from the <source>s
+      if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+        return this.loadPictureImage(img, src);
+      }
 
-        // Optimize for WebP if supported
-        const optimizedSrc = this.getOptimizedSrc(src);
+      // Best format the build produced for this image, if any
+      const optimized = await this.getOptimizedSources(src);
+
+      return new Promise((resolve, reject) => {
+        const optimizedSrc = optimized.src;
+        const srcset = img.getAttribute(this.config.srcsetAttribute) || optimized.srcset;
+        const sizes = img.getAttribute(this.config.sizesAttribute);
 
         const tempImg = new Image();
         
@@ -312,21 +437,71 @@
     }
 
     /**
-     * Load background image
-     * @param {HTMLElement} element - Element with background
+     * Load an image rendered as <picture> by the build
+     * @param {HTMLImageElement} img - Image inside a picture element
+     * @param {string} src - Fallback source URL
      * @returns {Promise<void>}
      */
-    loadBackground(element) {
+    loadPictureImage(img, src) {
       return new Promise((resolve, reject) => {
-        const bgUrl = element.getAttribute(this.config.bgAttribute);
+        img.parentElement.querySelectorAll('source').forEach((source) => {
+          const srcset = source.getAttribute(this.config.srcsetAttribute);
+
+          if (srcset) {
+            source.srcset = srcset;
+            source.removeAttribute(this.config.srcsetAttribute);
+          }
+        });
+
+        const srcset = img.getAttribute(this.config.srcsetAttribute);
+        const sizes = img.getAttribute(this.config.sizesAttribute);
+
+        const handleLoad = () => {
+          img.removeEventListener('error', handleError);
+
+          // Remove data attributes
+          img.removeAttribute(this.config.srcAttribute);
+          img.removeAttribute(this.config.srcsetAttribute);
+          img.removeAttribute(this.config.sizesAttribute);
+
+          resolve();
+        };
+
+        const handleError = () => {
+          img.removeEventListener('load', handleLoad);
+          reject(new Error(`Failed to load image: ${src}`));
+        };
+
+        img.addEventListener('load', handleLoad, { once: true });
+        img.addEventListener('error', handleError, { once: true });
+
+        if (sizes) {
+          img.sizes = sizes;
+        }
 
-        if (!bgUrl) {
-          reject(new Error('No background URL provided'));
-          return;
+        if (srcset) {
+          img.srcset = srcset;
         }
 
-        const optimizedUrl = this.getOptimizedSrc(bgUrl);
+        img.src = src;
+      });
+    }
 
+    /**
+     * Load background image
+     * @param {HTMLElement} element - Element with background
+     * @returns {Promise<void>}
+     */
+    async loadBackground(element) {
+      const bgUrl = element.getAttribute(this.config.bgAttribute);
+
+      if (!bgUrl) {
+        throw new Error('No background URL provided');
+      }
+
+      const optimizedUrl = await this.getOptimizedSrc(bgUrl);
+
+      return new Promise((resolve, reject) => {
         const tempImg = new Image();
         
         tempImg.onload = () => {
@@ -344,21 +519,45 @@
     }
 
     /**
-     * Get optimized source URL (WebP if supported)
+     * Get the best available sources for an image from the build manifest
      * @param {string} src - Original source URL
-     * @returns {string} Optimized source URL
+     * @returns {Promise<Object>} { src, srcset } (srcset is empty without derivatives)
      */
-    getOptimizedSrc(src) {
-      if (!CAPABILITIES.webP || !this.config.enableWebP) {
-        return src;
+    async getOptimizedSources(src) {
+      const key = getManifestKey(src);
+      const [manifest, supported] = await Promise.all([loadImageManifest(), getSupportedFormats()]);
+      const entry = key && manifest[key];
+
+      if (!entry || !entry.formats) {
+        return { src, srcset: '' };
       }
 
-      // Check if WebP version exists (convention: replace extension with .webp)
-      if (src.match(/\.(jpg|jpeg|png)$/i)) {
-        return src.replace(/\.(jpg|jpeg|png)$/i, '.webp');
+      // Only formats the build actually emitted for this image
+      const format = FORMAT_PREFERENCE.find((name) =>
+        supported.has(name) && Array.isArray(entry.formats[name]) && entry.formats[name].length > 0
+      );
+
+      if (!format) {
+        return { src, srcset: '' };
       }
 
-      return src;
+      const files = entry.formats[format];
+      const largest = files[files.length - 1];
+      const srcset = files
+        .filter((file) => file.width)
+        .map((file) => `${getManifestFileUrl(file.src)} ${file.width}w`)
+        .join(', ');
+
+      return { src: getManifestFileUrl(largest.src), srcset };
+    }
+
+    /**
+     * Get optimized source URL (best supported format the build produced)
+     * @param {string} src - Original source URL
+     * @returns {Promise<string>} Optimized source URL
+     */
+    async getOptimizedSrc(src) {
+      return (await this.getOptimizedSources(src)).src;
     }
 
     /**
@@ -409,6 +608,15 @@
 
         console.error('Lazy loading failed after retries:', error.message, element);
 
+        if (window.LagosAnalytics) {
+          window.LagosAnalytics.track('image_failed', {
+            src: element.getAttribute(this.config.srcAttribute) ||
+              element.getAttribute(this.config.bgAttribute) || '',
+            retries: retryCount,
+            connection: CAPABILITIES.connectionSpeed,
+          });
+        }
+
         // Dispatch error event
         element.dispatchEvent(new CustomEvent('lazyerror', {
           bubbles: true,
@@ -0,0 +1,680 @@
+/**
+ * Discovery Call Scheduler
+ *
+ * Optional panel the contact form opens after a successful submission so the
+ * visitor can book a discovery call with the sales team straight away.
+ *
+ * Features:
+ * - Available slots read from a JSON feed, or generated from the openingHours
+ *   when there is none
+ * - Slots in the past, too soon, or outside the Lagos openingHours from
+ *   js/schema.js are left out
+ * - Times shown in the visitor's timezone with the Lagos (WAT) time alongside
+ * - The chosen slot is submitted as a follow-up to the same lead
+ * - Downloadable .ics invite once the call is booked
+ *
+ * Feed format (slots are ISO 8601 date-times with an offset, or objects with
+ * start and end; duration in minutes applies to slots without an end):
+ *   { "duration": 30, "slots": ["2026-11-02T10:00:00+01:00", { "start": "...", "end": "..." }] }
+ *
+ * Without a feed, slots of DEFAULT_DURATION minutes start every
+ * GENERATED_SLOT_INTERVAL minutes through each opening period of the next
+ * GENERATED_DAYS days.
+ *
+ * The contact form opens the panel when #contact-form has data-scheduler
+ * (generated slots) or data-scheduler-feed="<feed url>".
+ *
+ * @module meeting-scheduler
+ */
+
+(function() {
+  'use strict';
+
+  // Configuration
+  const CONFIG = Object.freeze({
+    BUSINESS_TIME_ZONE: 'Africa/Lagos',
+    BUSINESS_TIME_ZONE_LABEL: 'WAT',
+    DEFAULT_DURATION: 30,
+    MIN_NOTICE_MINUTES: 120,
+    MAX_SLOTS: 30,
+    GENERATED_DAYS: 14,
+    GENERATED_SLOT_INTERVAL: 90,
+    FEED_TIMEOUT: 8000,
+    ICS_FILE_NAME: 'discovery-call.ics',
+    ICS_PRODUCT_ID: '-//Lagos Software Consulting//Discovery Call//EN',
+  });
+
+  // Fallbacks when js/schema.js is not on the page
+  const DEFAULT_BUSINESS = Object.freeze({
+    name: 'Lagos Software Consulting',
+    email: 'info@lagossoftwareconsulting.com',
+    url: 'https://lagossoftwareconsulting.com',
+    timeZone: CONFIG.BUSINESS_TIME_ZONE,
+    getOpeningHours: () => [{
+      dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+      opens: '09:00',
+      closes: '18:00'
+    }],
+  });
+
+  // State management
+  const state = {
+    panel: null,
+    lead: null,
+    slots: [],
+    submit: null,
+    booked: null,
+    icsUrl: '',
+    isSubmitting: false,
+  };
+
+  /**
+   * Business details published by js/schema.js
+   * @returns {Object} - { name, email, url, timeZone, getOpeningHours }
+   */
+  function getBusiness() {
+    return window.LagosBusiness || DEFAULT_BUSINESS;
+  }
+
+  /**
+   * The visitor's timezone
+   * @returns {string} - IANA timezone name
+   */
+  function getVisitorTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch {
+      return 'UTC';
+    }
+  }
+
+  /**
+   * Fetch the slots feed
+   * @param {string} url - Feed URL
+   * @returns {Promise<Object[]>} - Bookable slots as { start, end } Dates
+   */
+  async function loadSlots(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.FEED_TIMEOUT);
+
+    try {
+      const response = await fetch(url, {
+        headers: { 'Accept': 'application/json' },
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Slots feed responded with status ${response.status}`);
+      }
+
+      return parseSlots(await response.json());
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Turn feed data into bookable slots
+   * @param {Object} feed - Parsed feed
+   * @returns {Object[]} - Sorted, de-duplicated { start, end } slots
+   */
+  function parseSlots(feed) {
+    const duration = Number(feed && feed.duration) || CONFIG.DEFAULT_DURATION;
+    const entries = Array.isArray(feed && feed.slots) ? feed.slots : [];
+    const earliest = Date.now() + CONFIG.MIN_NOTICE_MINUTES * 60000;
+    const seen = new Set();
+
+    return entries
+      .map(entry => {
+        const start = new Date(typeof entry === 'string' ? entry : entry && entry.start);
+        const end = entry && entry.end
+          ? new Date(entry.end)
+          : new Date(start.getTime() + duration * 60000);
+
+        return { start, end };
+      })
+      .filter(slot => {
+        const key = slot.start.getTime();
+
+        if (Number.isNaN(key) || Number.isNaN(slot.end.getTime()) || slot.end <= slot.start) return false;
+        if (key < earliest || seen.has(key) || !isWithinOpeningHours(slot)) return false;
+
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.start - b.start)
+      .slice(0, CONFIG.MAX_SLOTS);
+  }
+
+  /**
+   * Find the instant a wall-clock time in the business timezone refers to
+   * @param {string} date - "2026-11-02"
+   * @param {string} time - "09:30"
+   * @returns {Date} - Instant
+   */
+  function getBusinessInstant(date, time) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Shift by the zone's offset at that moment
+    const shown = getBusinessTime(new Date(guess));
+    const [shownYear, shownMonth, shownDay] = shown.date.split('-').map(Number);
+    const [shownHour, shownMinute] = shown.time.split(':').map(Number);
+    const offset = Date.UTC(shownYear, shownMonth - 1, shownDay, shownHour, shownMinute) - guess;
+
+    return new Date(guess - offset);
+  }
+
+  /**
+   * Build a feed of slots spread through the opening hours
+   * @returns {Object} - Feed in the format loadSlots() reads
+   */
+  function generateFeed() {
+    const duration = CONFIG.DEFAULT_DURATION;
+    const [year, month, day] = getBusinessTime(new Date()).date.split('-').map(Number);
+    const slots = [];
+
+    for (let offset = 0; offset < CONFIG.GENERATED_DAYS; offset++) {
+      const date = new Date(Date.UTC(year, month - 1, day + offset)).toISOString().slice(0, 10);
+      const weekday = getBusinessTime(getBusinessInstant(date, '12:00')).day;
+
+      getBusiness().getOpeningHours()
+        .filter(hours => hours.dayOfWeek.includes(weekday))
+        .forEach(hours => {
+          const closes = getBusinessInstant(date, hours.closes).getTime();
+
+          for (let start = getBusinessInstant(date, hours.opens).getTime();
+            start + duration * 60000 <= closes;
+            start += CONFIG.GENERATED_SLOT_INTERVAL * 60000) {
+            slots.push(new Date(start).toISOString());
+          }
+        });
+    }
+
+    return { duration, slots };
+  }
+
+  /**
+   * Read the weekday and time of a date in the business timezone
+   * @param {Date} date - Date to convert
+   * @returns {Object} - { day: "Monday", time: "09:30", date: "2026-11-02" }
+   */
+  function getBusinessTime(date) {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: getBusiness().timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      day: parts.weekday,
+      time: `${parts.hour}:${parts.minute}`,
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+    };
+  }
+
+  /**
+   * Check that a slot falls inside the business opening hours
+   * @param {Object} slot - { start, end }
+   * @returns {boolean} - True if the whole slot is within one opening period
+   */
+  function isWithinOpeningHours(slot) {
+    const start = getBusinessTime(slot.start);
+    const end = getBusinessTime(slot.end);
+
+    if (start.date !== end.date && end.time !== '00:00') return false;
+
+    return getBusiness().getOpeningHours().some(hours =>
+      hours.dayOfWeek.includes(start.day) &&
+      start.time >= hours.opens &&
+      (end.date === start.date ? end.time : '24:00') <= hours.closes
+    );
+  }
+
+  /**
+   * Format a time in a timezone
+   * @param {Date} date - Date to format
+   * @param {string} timeZone - IANA timezone
+   * @returns {string} - e.g. "10:00"
+   */
+  function formatTime(date, timeZone) {
+    return new Intl.DateTimeFormat(undefined, {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(date);
+  }
+
+  /**
+   * Format a day in a timezone
+   * @param {Date} date - Date to format
+   * @param {string} timeZone - IANA timezone
+   * @returns {string} - e.g. "Monday 2 November"
+   */
+  function formatDay(date, timeZone) {
+    return new Intl.DateTimeFormat(undefined, {
+      timeZone,
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+    }).format(date);
+  }
+
+  /**
+   * Describe a slot for the visitor, with the Lagos time alongside
+   * @param {Object} slot - { start, end }
+   * @returns {string} - e.g. "Monday 2 November, 10:00 (10:00 WAT)"
+   */
+  function describeSlot(slot) {
+    const visitorZone = getVisitorTimeZone();
+    const local = `${formatDay(slot.start, visitorZone)}, ${formatTime(slot.start, visitorZone)}`;
+
+    return `${local} (${formatTime(slot.start, getBusiness().timeZone)} ${CONFIG.BUSINESS_TIME_ZONE_LABEL})`;
+  }
+
+  /**
+   * Describe the business opening hours
+   * @returns {string} - e.g. "Monday to Friday, 09:00-18:00 WAT"
+   */
+  function describeOpeningHours() {
+    return getBusiness().getOpeningHours()
+      .map(hours => {
+        const days = hours.dayOfWeek.length > 1
+          ? `${hours.dayOfWeek[0]} to ${hours.dayOfWeek[hours.dayOfWeek.length - 1]}`
+          : hours.dayOfWeek[0];
+
+        return `${days}, ${hours.opens}–${hours.closes} ${CONFIG.BUSINESS_TIME_ZONE_LABEL}`;
+      })
+      .join('; ');
+  }
+
+  /**
+   * Open the scheduler panel
+   * @param {Object} lead - { id, name, email, service } of the submitted lead
+   * @param {Object} options - { feed, anchor, submit } where feed is optional
+   *   (slots are generated from the opening hours without one), anchor is the
+   *   element the panel is inserted after and submit(fields) sends the
+   *   follow-up, resolving to a transport result ({ ok, message })
+   * @returns {Promise<boolean>} - False if there was nothing to offer
+   */
+  async function open(lead, options = {}) {
+    if (!options.anchor || typeof options.submit !== 'function') {
+      logWarning('Scheduler needs an anchor element and a submit function');
+      return false;
+    }
+
+    close();
+
+    let slots;
+    try {
+      slots = options.feed ? await loadSlots(options.feed) : parseSlots(generateFeed());
+    } catch (error) {
+      logWarning('Could not load meeting slots', { feed: options.feed, error: error.message });
+      return false;
+    }
+
+    if (slots.length === 0) {
+      logInfo('No meeting slots available', { feed: options.feed });
+      return false;
+    }
+
+    state.lead = lead;
+    state.slots = slots;
+    state.submit = options.submit;
+    state.panel = renderPanel(slots);
+    options.anchor.insertAdjacentElement('afterend', state.panel);
+
+    trackEvent('meeting_offered', { slots: slots.length });
+    logInfo('Meeting scheduler opened', { slots: slots.length });
+
+    return true;
+  }
+
+  /**
+   * Remove the scheduler panel
+   */
+  function close() {
+    if (state.icsUrl) {
+      URL.revokeObjectURL(state.icsUrl);
+    }
+
+    if (state.panel) {
+      state.panel.remove();
+    }
+
+    state.panel = null;
+    state.lead = null;
+    state.slots = [];
+    state.submit = null;
+    state.booked = null;
+    state.icsUrl = '';
+    state.isSubmitting = false;
+  }
+
+  /**
+   * Build the panel markup
+   * @param {Object[]} slots - Bookable slots
+   * @returns {HTMLElement} - Panel element
+   */
+  function renderPanel(slots) {
+    const visitorZone = getVisitorTimeZone();
+    const panel = document.createElement('section');
+    panel.className = 'meeting-scheduler';
+    panel.setAttribute('aria-labelledby', 'meeting-scheduler-title');
+
+    const title = document.createElement('h3');
+    title.id = 'meeting-scheduler-title';
+    title.textContent = 'Book a discovery call';
+
+    const intro = document.createElement('p');
+    intro.className = 'meeting-scheduler-intro';
+    intro.textContent = `Pick a time for a free ${Math.round((slots[0].end - slots[0].start) / 60000)}-minute call with our team. ` +
+      `Times are shown in your timezone (${visitorZone}); our Lagos office hours are ${describeOpeningHours()}.`;
+
+    const form = document.createElement('form');
+    form.className = 'meeting-scheduler-form';
+    form.noValidate = true;
+
+    // One group of radio buttons per day in the visitor's timezone
+    const days = new Map();
+    slots.forEach((slot, index) => {
+      const day = formatDay(slot.start, visitorZone);
+
+      if (!days.has(day)) {
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = day;
+        fieldset.appendChild(legend);
+        days.set(day, fieldset);
+        form.appendChild(fieldset);
+      }
+
+      const label = document.createElement('label');
+      label.className = 'meeting-slot';
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'meeting-slot';
+      input.value = String(index);
+
+      const business = document.createElement('span');
+      business.className = 'meeting-slot-business-time';
+      business.textContent = `${formatTime(slot.start, getBusiness().timeZone)} ${CONFIG.BUSINESS_TIME_ZONE_LABEL}`;
+
+      label.append(input, ` ${formatTime(slot.start, visitorZone)} `, business);
+      days.get(day).appendChild(label);
+    });
+
+    const message = document.createElement('div');
+    message.className = 'meeting-scheduler-message';
+    message.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'meeting-scheduler-actions';
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'submit-button';
+    submit.textContent = 'Book this time';
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'meeting-scheduler-dismiss';
+    dismiss.textContent = 'No thanks';
+    dismiss.addEventListener('click', close);
+
+    actions.append(submit, dismiss);
+    form.append(message, actions);
+    form.addEventListener('submit', handleBooking);
+
+    panel.append(title, intro, form);
+    return panel;
+  }
+
+  /**
+   * Show a message in the panel
+   * @param {string} text - Message text
+   * @param {string} type - "error" or "success"
+   */
+  function showMessage(text, type) {
+    const message = state.panel && state.panel.querySelector('.meeting-scheduler-message');
+    if (!message) return;
+
+    message.className = `meeting-scheduler-message ${type}`;
+    message.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    message.textContent = text;
+  }
+
+  /**
+   * Submit the chosen slot as a follow-up to the lead
+   * @param {Event} event - Submit event
+   */
+  async function handleBooking(event) {
+    event.preventDefault();
+
+    if (state.isSubmitting) return;
+
+    const form = event.currentTarget;
+    const selected = form.querySelector('input[name="meeting-slot"]:checked');
+
+    if (!selected) {
+      showMessage('Please choose a time for your call.', 'error');
+      return;
+    }
+
+    const slot = state.slots[Number(selected.value)];
+    const button = form.querySelector('button[type="submit"]');
+
+    state.isSubmitting = true;
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+
+    try {
+      const result = await state.submit({
+        meeting_start: slot.start.toISOString(),
+        meeting_end: slot.end.toISOString(),
+        meeting_timezone: getVisitorTimeZone(),
+      });
+
+      if (!result || !result.ok) {
+        throw new Error((result && result.message) || 'Booking was not accepted');
+      }
+
+      showBooked(slot);
+      trackEvent('meeting_booked', { service: state.lead && state.lead.service || '' });
+      logInfo('Meeting booked', { start: slot.start.toISOString() });
+    } catch (error) {
+      logWarning('Meeting booking failed', { error: error.message });
+      showMessage('Sorry, we could not book that time. Please try again or mention a time in your reply to our email.', 'error');
+    } finally {
+      state.isSubmitting = false;
+      if (button.isConnected) {
+        button.disabled = false;
+        button.removeAttribute('aria-busy');
+      }
+    }
+  }
+
+  /**
+   * Replace the slot picker with the booking confirmation
+   * @param {Object} slot - Booked slot
+   */
+  function showBooked(slot) {
+    state.booked = slot;
+    state.icsUrl = URL.createObjectURL(new Blob([createIcs(slot, state.lead)], {
+      type: 'text/calendar;charset=utf-8',
+    }));
+
+    const form = state.panel.querySelector('.meeting-scheduler-form');
+    const confirmation = document.createElement('div');
+    confirmation.className = 'meeting-scheduler-confirmation';
+    confirmation.setAttribute('role', 'status');
+    confirmation.tabIndex = -1;
+
+    const text = document.createElement('p');
+    text.textContent = `Your discovery call is booked for ${describeSlot(slot)}. We will send joining details by email.`;
+
+    const download = document.createElement('a');
+    download.className = 'meeting-scheduler-ics';
+    download.href = state.icsUrl;
+    download.download = CONFIG.ICS_FILE_NAME;
+    download.textContent = 'Add to calendar (.ics)';
+
+    confirmation.append(text, download);
+    form.replaceWith(confirmation);
+    confirmation.focus();
+  }
+
+  /**
+   * Format a date as an iCalendar UTC date-time
+   * @param {Date} date - Date to format
+   * @returns {string} - e.g. "20261102T090000Z"
+   */
+  function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape iCalendar TEXT values
+   * @param {string} value - Text to escape
+   * @returns {string} - Escaped text
+   */
+  function escapeIcsText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Quote an iCalendar parameter value (parameters cannot contain quotes)
+   * @param {string} value - Parameter value
+   * @returns {string} - Quoted value
+   */
+  function quoteIcsParam(value) {
+    return `"${String(value).replace(/["\r\n]/g, '')}"`;
+  }
+
+  /**
+   * Fold iCalendar content lines longer than 75 octets
+   * @param {string} line - Content line
+   * @returns {string} - Folded line
+   */
+  function foldIcsLine(line) {
+    const chunks = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+      const codePoint = char.codePointAt(0);
+      const charSize = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+
+      if (size + charSize > (chunks.length === 0 ? 75 : 74)) {
+        chunks.push(current);
+        current = '';
+        size = 0;
+      }
+
+      current += char;
+      size += charSize;
+    }
+
+    chunks.push(current);
+    return chunks.join('\r\n ');
+  }
+
+  /**
+   * Create an .ics invite for a booked slot
+   * @param {Object} slot - { start, end }
+   * @param {Object} lead - { id, name, email, service }
+   * @returns {string} - iCalendar document
+   */
+  function createIcs(slot, lead = {}) {
+    const business = getBusiness();
+    const description = [
+      `Discovery call with ${business.name}${lead.service ? ` about ${lead.service}` : ''}.`,
+      'We will send joining details by email.',
+      business.url,
+    ].join('\n');
+
+    const host = business.url.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    const attendee = lead.email
+      ? `ATTENDEE;CN=${quoteIcsParam(lead.name || lead.email)};ROLE=REQ-PARTICIPANT:mailto:${lead.email}`
+      : null;
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${CONFIG.ICS_PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${lead.id || formatIcsDate(slot.start)}-discovery-call@${host}`,
+      `DTSTAMP:${formatIcsDate(new Date())}`,
+      `DTSTART:${formatIcsDate(slot.start)}`,
+      `DTEND:${formatIcsDate(slot.end)}`,
+      `SUMMARY:${escapeIcsText(`Discovery call with ${business.name}`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `ORGANIZER;CN=${quoteIcsParam(business.name)}:mailto:${business.email}`,
+      attendee,
+      `URL:${business.url}`,
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ]
+      .filter(Boolean)
+      .map(foldIcsLine)
+      .join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Publish an analytics event (no-op when js/analytics.js is not loaded)
+   * @param {string} type - Event type
+   * @param {Object} properties - Event properties
+   */
+  function trackEvent(type, properties = {}) {
+    if (window.LagosAnalytics) {
+      window.LagosAnalytics.track(type, properties);
+    }
+  }
+
+  /**
+   * Log info message
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function logInfo(message, context = {}) {
+    console.log('[MeetingScheduler]', message, context);
+  }
+
+  /**
+   * Log warning message
+   * @param {string} message - Warning message
+   * @param {Object} context - Additional context
+   */
+  function logWarning(message, context = {}) {
+    console.warn('[MeetingScheduler]', message, context);
+  }
+
+  // Expose public API
+  window.MeetingScheduler = Object.freeze({
+    open,
+    close,
+    loadSlots,
+    parseSlots,
+    generateFeed,
+    createIcs,
+    getState: () => ({ ...state, slots: state.slots.slice() }),
+  });
+
+})();
@@ -42,6 +42,9 @@
       'Mo-Fr 09:00-18:00'
     ],
     
+    // Opening hours are local Lagos time (WAT, UTC+1)
+    timeZone: 'Africa/Lagos',
+    
     priceRange: '$$',
     
     areaServed: [
@@ -114,11 +117,9 @@
         longitude: BUSINESS_CONFIG.geo.longitude.toString()
       },
       
-      openingHoursSpecification: BUSINESS_CONFIG.openingHours.map(hours => ({
+      openingHoursSpecification: getOpeningHours().map(hours => ({
         '@type': 'OpeningHoursSpecification',
-        dayOfWeek: parseDaysOfWeek(hours),
-        opens: parseOpenTime(hours),
-        closes: parseCloseTime(hours)
+        ...hours
       })),
       
       priceRange: BUSINESS_CONFIG.priceRange,
@@ -287,6 +288,18 @@
     };
   }
 
+  /**
+   * Parses opening hours into day/time ranges
+   * @returns {Object[]} Array of { dayOfWeek, opens, closes } in BUSINESS_CONFIG.timeZone
+   */
+  function getOpeningHours() {
+    return BUSINESS_CONFIG.openingHours.map(hours => ({
+      dayOfWeek: parseDaysOfWeek(hours),
+      opens: parseOpenTime(hours),
+      closes: parseCloseTime(hours)
+    }));
+  }
+
   /**
    * Parses days of week from opening hours string
    * @param {string} hours - Opening hours string (e.g., "Mo-Fr 09:00-18:00")
@@ -466,6 +479,15 @@
   // Execute initialization
   init();
 
+  // Business details other scripts need (e.g. the meeting scheduler)
+  window.LagosBusiness = Object.freeze({
+    name: BUSINESS_CONFIG.name,
+    email: BUSINESS_CONFIG.email,
+    url: BUSINESS_CONFIG.url,
+    timeZone: BUSINESS_CONFIG.timeZone,
+    getOpeningHours
+  });
+
   // Export for testing purposes (if module system is available)
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -474,6 +496,7 @@
       generateProfessionalServiceSchema,
       generateBreadcrumbSchema,
       initializeSchemas,
+      getOpeningHours,
       BUSINESS_CONFIG
     };
   }
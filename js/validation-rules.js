@@ -0,0 +1,277 @@
+/**
+ * Contact Form Validation Rules
+ *
+ * Built-in validation rules shared by the contact form (js/contact-form.js)
+ * and the local receiver server (server/receiver.js), so a submission is
+ * checked against exactly the same rules in the browser and on the server.
+ *
+ * Features:
+ * - Field limits and patterns (names, Nigerian and international phones)
+ * - Nigerian phone parsing with E.164 normalisation and carrier lookup
+ * - Built-in rule implementations and the default per-field schema
+ * - Rule collection from data-validate-* attributes
+ *
+ * Load it before js/contact-form.js as a classic script; in Node, import it
+ * for its side effect. Either way it defines globalThis.ContactValidationRules.
+ * The "attachments" rule depends on how files are represented, so the form
+ * and the server each register their own implementation.
+ *
+ * @module validation-rules
+ */
+
+(function() {
+  'use strict';
+
+  // Configuration
+  const CONFIG = Object.freeze({
+    MIN_MESSAGE_LENGTH: 20,
+    MAX_MESSAGE_LENGTH: 1000,
+    // Letters and combining marks (e.g. "Adébáyọ̀"), joined by spaces, hyphens or apostrophes
+    NAME_PATTERN: /^(?=.{2,}$)[\p{L}\p{M}]+(?:[\s'’-]+[\p{L}\p{M}]+)*$/u,
+    // Nigerian mobile: 0803…, +234 803…, 234 803…, 00234 803… (10-digit national number)
+    NG_MOBILE_PATTERN: /^(?:(?:\+|00)?2340?|0)([789][01]\d{8})$/,
+    // Nigerian fixed line: 01 234 5678, +234 1 234 5678 (8-digit national number;
+    // mobile prefixes are excluded so a truncated mobile number is not accepted)
+    NG_FIXED_LINE_PATTERN: /^(?:(?:\+|00)?2340?|0)(?![789][01])([1-9]\d{7})$/,
+    E164_PATTERN: /^\+[1-9]\d{7,14}$/,
+    ATTACHMENT_MAX_FILES: 5,
+    ATTACHMENT_MAX_TOTAL_SIZE: 10485760, // 10 MB, after image compression
+    ATTACHMENT_EXTENSIONS: ['.pdf', '.doc', '.docx', '.odt', '.rtf', '.txt', '.ppt', '.pptx', '.xls', '.xlsx', '.png', '.jpg', '.jpeg', '.webp'],
+  });
+
+  // Nigerian mobile number prefixes by network (five-digit prefixes are checked first)
+  const NG_CARRIER_PREFIXES = Object.freeze({
+    '07025': 'MTN', '07026': 'MTN', '0704': 'MTN', '0703': 'MTN', '0706': 'MTN',
+    '0803': 'MTN', '0806': 'MTN', '0810': 'MTN', '0813': 'MTN', '0814': 'MTN',
+    '0816': 'MTN', '0903': 'MTN', '0906': 'MTN', '0913': 'MTN', '0916': 'MTN',
+    '0701': 'Airtel', '0708': 'Airtel', '0802': 'Airtel', '0808': 'Airtel', '0812': 'Airtel',
+    '0901': 'Airtel', '0902': 'Airtel', '0904': 'Airtel', '0907': 'Airtel', '0912': 'Airtel',
+    '0705': 'Glo', '0805': 'Glo', '0807': 'Glo', '0811': 'Glo', '0815': 'Glo',
+    '0905': 'Glo', '0915': 'Glo',
+    '0809': '9mobile', '0817': '9mobile', '0818': '9mobile', '0908': '9mobile', '0909': '9mobile',
+    '0702': 'Smile', '0709': 'Multilinks',
+  });
+
+  // Rules applied by field name in addition to data-validate-* attributes
+  const DEFAULT_SCHEMA = Object.freeze({
+    name: [
+      {
+        rule: 'pattern',
+        param: CONFIG.NAME_PATTERN,
+        message: 'Please enter a valid name (letters, spaces, hyphens and apostrophes only)',
+      },
+    ],
+    email: [{ rule: 'email' }],
+    phone: [{ rule: 'phone' }],
+    attachments: [{ rule: 'attachments' }],
+    message: [
+      { rule: 'min-length', param: CONFIG.MIN_MESSAGE_LENGTH },
+      { rule: 'max-length', param: CONFIG.MAX_MESSAGE_LENGTH },
+    ],
+  });
+
+  /**
+   * Validate email format
+   * @param {string} email - Email address to validate
+   * @returns {boolean} - Validation result
+   */
+  function isValidEmail(email) {
+    const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailPattern.test(email);
+  }
+
+  /**
+   * Parse a phone number, recognising Nigerian formats
+   * @param {string} value - Phone number as typed
+   * @returns {Object|null} - { e164, country, type, prefix, carrier }, or null if invalid
+   */
+  function parsePhoneNumber(value) {
+    const digits = value.replace(/[\s\-().]/g, '');
+
+    const mobile = digits.match(CONFIG.NG_MOBILE_PATTERN);
+    if (mobile) {
+      const local = `0${mobile[1]}`;
+      const prefix = local.slice(0, 5) in NG_CARRIER_PREFIXES
+        ? local.slice(0, 5)
+        : local.slice(0, 4);
+
+      return {
+        e164: `+234${mobile[1]}`,
+        country: 'NG',
+        type: 'mobile',
+        prefix,
+        carrier: NG_CARRIER_PREFIXES[prefix] || null,
+      };
+    }
+
+    const fixedLine = digits.match(CONFIG.NG_FIXED_LINE_PATTERN);
+    if (fixedLine) {
+      return {
+        e164: `+234${fixedLine[1]}`,
+        country: 'NG',
+        type: 'fixed',
+        prefix: null,
+        carrier: null,
+      };
+    }
+
+    // Other countries are accepted in international format only
+    const international = digits.replace(/^00/, '+');
+    if (!international.startsWith('+234') && CONFIG.E164_PATTERN.test(international)) {
+      return {
+        e164: international,
+        country: null,
+        type: 'international',
+        prefix: null,
+        carrier: null,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a required-if condition ("field", "field=value" or "field=a|b")
+   * @param {string} param - Condition
+   * @param {Object} context - Validation context with getValue(name)
+   * @returns {boolean} - True if the condition holds
+   */
+  function isConditionMet(param, context) {
+    const [field, expected] = String(param).split('=').map(part => part.trim());
+    const actual = context.getValue(field);
+
+    if (expected === undefined) {
+      return actual !== '';
+    }
+
+    return expected.split('|').includes(actual);
+  }
+
+  /**
+   * Built-in rules as [name, validate(value, param, context), options]
+   */
+  const BUILT_IN_VALIDATORS = Object.freeze([
+    ['required-if', (value, param, context) => {
+      return !isConditionMet(param, context) || value !== '';
+    }, { message: 'This field is required', validateEmpty: true }],
+
+    ['min-length', (value, param) => value.length >= Number(param), {
+      message: param => `Please enter at least ${param} characters`,
+    }],
+
+    ['max-length', (value, param) => value.length <= Number(param), {
+      message: param => `Please enter no more than ${param} characters`,
+    }],
+
+    ['min', (value, param) => Number(value) >= Number(param), {
+      message: param => `Please enter a value of at least ${param}`,
+    }],
+
+    ['max', (value, param) => Number(value) <= Number(param), {
+      message: param => `Please enter a value of no more than ${param}`,
+    }],
+
+    ['pattern', (value, param) => {
+      const pattern = param instanceof RegExp ? param : new RegExp(`^(?:${param})$`, 'u');
+      return pattern.test(value);
+    }, { message: 'Please match the requested format' }],
+
+    ['email', value => isValidEmail(value), {
+      message: 'Please enter a valid email address',
+    }],
+
+    ['phone', value => parsePhoneNumber(value) !== null, {
+      message: 'Please enter a valid phone number, e.g. 0803 123 4567 or +234 803 123 4567',
+    }],
+
+    ['match', (value, param, context) => value === context.getValue(param), {
+      message: 'The values do not match',
+    }],
+  ]);
+
+  /**
+   * Collect validation rules for a field from a schema and its attributes
+   * @param {Object[]} schemaRules - Schema rules for the field ({ rule, param, message })
+   * @param {Object[]} attributes - The field's attributes as { name, value }
+   * @returns {Object[]} - Rules as { rule, param, message }
+   */
+  function collectFieldRules(schemaRules, attributes) {
+    const rules = new Map();
+
+    (schemaRules || []).forEach(rule => {
+      rules.set(rule.rule, rule);
+    });
+
+    const getMessage = rule => {
+      const attr = attributes.find(candidate => candidate.name === `data-validate-${rule}-message`);
+      return attr ? attr.value : undefined;
+    };
+
+    attributes.forEach(attr => {
+      if (attr.name === 'data-validate') {
+        attr.value.split(/\s+/).filter(Boolean).forEach(rule => {
+          rules.set(rule, { rule, message: getMessage(rule) });
+        });
+      } else if (attr.name.startsWith('data-validate-') && !attr.name.endsWith('-message')) {
+        const rule = attr.name.slice('data-validate-'.length);
+        rules.set(rule, { rule, param: attr.value, message: getMessage(rule) });
+      }
+    });
+
+    return Array.from(rules.values());
+  }
+
+  /**
+   * Get the field a cross-field rule depends on
+   * @param {Object} rule - Validation rule
+   * @returns {string|null} - Field name
+   */
+  function getRuleDependency(rule) {
+    if (rule.dependsOn) {
+      return rule.dependsOn;
+    }
+
+    if (rule.rule === 'required-if' || rule.rule === 'match') {
+      return String(rule.param).split('=')[0].trim();
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the error message for a failed rule
+   * @param {*} outcome - Validator return value
+   * @param {Object} rule - Validation rule
+   * @param {Object} validator - Registered validator ({ message })
+   * @returns {string|null} - Error message, or null when valid
+   */
+  function getRuleMessage(outcome, rule, validator) {
+    if (outcome === true || outcome === undefined || outcome === null) {
+      return null;
+    }
+
+    if (rule.message) {
+      return rule.message;
+    }
+
+    if (typeof outcome === 'string') {
+      return outcome;
+    }
+
+    return typeof validator.message === 'function'
+      ? validator.message(rule.param)
+      : validator.message;
+  }
+
+  // Expose shared rules (window in the browser, the global object in Node)
+  globalThis.ContactValidationRules = Object.freeze({
+    CONFIG,
+    DEFAULT_SCHEMA,
+    BUILT_IN_VALIDATORS,
+    isValidEmail,
+    parsePhoneNumber,
+    collectFieldRules,
+    getRuleDependency,
+    getRuleMessage,
+  });
+})();
\ No newline at end of file
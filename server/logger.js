@@ -0,0 +1,47 @@
+/**
+ * Structured JSON logger shared by the receiver modules
+ * (same line format as build/optimize.js)
+ */
+export const logger = {
+  info: (msg, meta = {}) => {
+    console.log(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'INFO',
+        message: msg,
+        ...meta,
+      })
+    );
+  },
+  error: (msg, error = null, meta = {}) => {
+    console.error(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'ERROR',
+        message: msg,
+        error: error?.message,
+        stack: error?.stack,
+        ...meta,
+      })
+    );
+  },
+  warn: (msg, meta = {}) => {
+    console.warn(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'WARN',
+        message: msg,
+        ...meta,
+      })
+    );
+  },
+};
+
+export class ReceiverError extends Error {
+  constructor(message, status = 500, context = {}) {
+    super(message);
+    this.name = 'ReceiverError';
+    this.status = status;
+    this.context = context;
+  }
+}
@@ -0,0 +1,589 @@
+/**
+ * Local contact form receiver
+ *
+ * Accepts the submissions js/contact-form.js produces (multipart from the
+ * Formspree transport, JSON from the webhook transport), re-runs the form's
+ * validation rules, stores each submission, notifies the sales team and sends
+ * the visitor a confirmation (templates in server/templates/).
+ * Follow-ups to a stored lead (fields plus _followup_to, e.g. a discovery call
+ * booked with js/meeting-scheduler.js) are stored alongside it and the team
+ * is notified with the lead's contact details. Each lead takes one follow-up.
+ * Responses follow Formspree's shape, so pointing the form at it only takes
+ * data-endpoint="http://localhost:8787/submit".
+ *
+ * Configuration (environment variables):
+ * - RECEIVER_HOST / RECEIVER_PORT: listen address (default 127.0.0.1:8787)
+ * - RECEIVER_DATA_DIR: where submissions and uploads are kept (server/data)
+ * - RECEIVER_STORAGE: "jsonl" (default) or "sqlite"
+ * - RECEIVER_MAILER: "console" (default) or "smtp"; SMTP_URL for smtp
+ * - RECEIVER_NOTIFY_TO / RECEIVER_NOTIFY_FROM: notification addresses
+ * - RECEIVER_TEAM_LOCALE: locale of the internal notification (default "en")
+ * - RECEIVER_AUTO_REPLY: "false" to skip the visitor confirmation email
+ * - RECEIVER_ALLOWED_ORIGINS: comma-separated CORS origins (default "*")
+ * - RECEIVER_REQUIRE_POW: "true" to reject submissions without a valid
+ *   proof-of-work token
+ * - RECEIVER_SLOTS_FEED: path of the meeting slots feed the page offers (the
+ *   form's data-scheduler-feed); booked calls must match one of its slots.
+ *   Without it, a booked call must be at most MAX_MEETING_DURATION long and
+ *   within the page's openingHours.
+ */
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash, randomUUID } from 'crypto';
+import { logger, ReceiverError } from './logger.js';
+import {
+  loadFormDefinition,
+  loadOpeningHours,
+  isWithinOpeningHours,
+  getFieldLabels,
+  getFieldTitles,
+  validateSubmission,
+} from './validation.js';
+import { createStorage } from './storage.js';
+import { createMailer } from './mailer.js';
+import { createEmailView, renderEmail } from './templates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG = Object.freeze({
+  HOST: process.env.RECEIVER_HOST || '127.0.0.1',
+  PORT: Number(process.env.RECEIVER_PORT) || 8787,
+  SUBMIT_PATH: '/submit',
+  FORM_HTML: path.join(__dirname, '..', 'index.html'),
+  DATA_DIR: process.env.RECEIVER_DATA_DIR || path.join(__dirname, 'data'),
+  STORAGE: process.env.RECEIVER_STORAGE || 'jsonl',
+  MAILER: process.env.RECEIVER_MAILER || 'console',
+  SMTP_URL: process.env.SMTP_URL || '',
+  NOTIFY_TO: process.env.RECEIVER_NOTIFY_TO || 'info@lagossoftwareconsulting.com',
+  NOTIFY_FROM: process.env.RECEIVER_NOTIFY_FROM || 'no-reply@lagossoftwareconsulting.com',
+  TEAM_LOCALE: process.env.RECEIVER_TEAM_LOCALE || 'en',
+  AUTO_REPLY: process.env.RECEIVER_AUTO_REPLY !== 'false',
+  ALLOWED_ORIGINS: (process.env.RECEIVER_ALLOWED_ORIGINS || '*').split(',').map((origin) => origin.trim()),
+  REQUIRE_POW: process.env.RECEIVER_REQUIRE_POW === 'true',
+  POW_DIFFICULTY: 12, // must match the form's POW_DIFFICULTY
+  POW_MAX_AGE: 600000, // 10 minutes
+  SLOTS_FEED: process.env.RECEIVER_SLOTS_FEED || '',
+  BUSINESS_TIME_ZONE: 'Africa/Lagos', // of the page's openingHours
+  MAX_MEETING_DURATION: 60, // minutes
+  DEFAULT_MEETING_DURATION: 30, // minutes, for feed slots without an end
+  MAX_BODY_SIZE: 15728640, // 15 MB: 10 MB of attachments plus base64 overhead
+});
+
+// Fields a follow-up may carry (booked calls from js/meeting-scheduler.js)
+const FOLLOW_UP_FIELDS = Object.freeze(['meeting_start', 'meeting_end', 'meeting_timezone']);
+
+// Submission ids being stored, to the lead id for follow-ups (null for leads)
+const pendingIds = new Map();
+
+// Proof-of-work tokens already accepted, by creation time (each is single use)
+const usedProofOfWork = new Map();
+
+function hasLeadingZeroBits(bytes, bits) {
+  const fullBytes = Math.floor(bits / 8);
+
+  for (let i = 0; i < fullBytes; i++) {
+    if (bytes[i] !== 0) return false;
+  }
+
+  const remainingBits = bits % 8;
+  return remainingBits === 0 || bytes[fullBytes] >> (8 - remainingBits) === 0;
+}
+
+/**
+ * Check a "<difficulty>:<timestamp>:<random>:<nonce>" token from the form
+ */
+function verifyProofOfWork(token) {
+  const now = Date.now();
+
+  usedProofOfWork.forEach((createdAt, used) => {
+    if (now - createdAt > CONFIG.POW_MAX_AGE) usedProofOfWork.delete(used);
+  });
+
+  const parts = String(token).split(':');
+  if (parts.length !== 4) return false;
+
+  const difficulty = Number(parts[0]);
+  const createdAt = Number(parts[1]);
+
+  if (!(difficulty >= CONFIG.POW_DIFFICULTY) || !Number.isFinite(createdAt)) return false;
+  if (createdAt > now || now - createdAt > CONFIG.POW_MAX_AGE) return false;
+  if (usedProofOfWork.has(token)) return false;
+
+  const digest = createHash('sha256').update(token).digest();
+  if (!hasLeadingZeroBits(digest, difficulty)) return false;
+
+  usedProofOfWork.set(token, createdAt);
+  return true;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function applyCors(req, res) {
+  const origin = req.headers.origin;
+
+  if (CONFIG.ALLOWED_ORIGINS.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (origin && CONFIG.ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Accept, Content-Type');
+}
+
+async function readBody(req) {
+  const declared = Number(req.headers['content-length']);
+  if (declared > CONFIG.MAX_BODY_SIZE) {
+    throw new ReceiverError('Submission is too large', 413, { size: declared });
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+
+    if (size > CONFIG.MAX_BODY_SIZE) {
+      throw new ReceiverError('Submission is too large', 413, { size });
+    }
+
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+function addField(fields, key, value) {
+  if (key in fields) {
+    fields[key] = [].concat(fields[key], value);
+  } else {
+    fields[key] = value;
+  }
+}
+
+/**
+ * Parse a request body into { fields, files }
+ * Multipart and urlencoded bodies come from the Formspree transport, JSON
+ * bodies (files as { name, type, size, data } in base64) from the webhook one.
+ */
+async function parseSubmission(contentType, body) {
+  const fields = {};
+  const files = [];
+
+  if (contentType.includes('application/json')) {
+    let data;
+
+    try {
+      data = JSON.parse(body.toString('utf-8'));
+    } catch (error) {
+      throw new ReceiverError('Submission is not valid JSON', 400, { cause: error.message });
+    }
+
+    Object.entries(data || {}).forEach(([key, value]) => {
+      [].concat(value).forEach((item) => {
+        if (item && typeof item === 'object' && typeof item.data === 'string') {
+          const content = Buffer.from(item.data, 'base64');
+          files.push({ field: key, name: String(item.name || ''), type: String(item.type || ''), size: content.length, content });
+        } else if (item !== null && item !== undefined) {
+          addField(fields, key, String(item));
+        }
+      });
+    });
+
+    return { fields, files };
+  }
+
+  if (!contentType.includes('multipart/form-data') && !contentType.includes('application/x-www-form-urlencoded')) {
+    throw new ReceiverError('Unsupported content type', 415, { contentType });
+  }
+
+  let formData;
+
+  try {
+    formData = await new Request('http://receiver.local/', {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body,
+    }).formData();
+  } catch (error) {
+    throw new ReceiverError('Submission could not be parsed', 400, { cause: error.message });
+  }
+
+  for (const [key, value] of formData.entries()) {
+    if (typeof value === 'string') {
+      addField(fields, key, value);
+      continue;
+    }
+
+    // Browsers send an empty, unnamed part for a file input with no selection
+    if (!value.name && value.size === 0) continue;
+
+    const content = Buffer.from(await value.arrayBuffer());
+    files.push({ field: key, name: value.name, type: value.type, size: content.length, content });
+  }
+
+  return { fields, files };
+}
+
+function getMetadata(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([key]) => key.startsWith('_')));
+}
+
+function getVisitorFields(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([key]) => !key.startsWith('_')));
+}
+
+function isValidId(value) {
+  return typeof value === 'string' && /^[\w-]{1,64}$/.test(value);
+}
+
+function getSubmissionId(meta) {
+  return isValidId(meta._submission_id) ? meta._submission_id : randomUUID();
+}
+
+/**
+ * Reserve a submission id while its record is stored, so an overlapping retry
+ * counts as a duplicate instead of being stored twice
+ * @param {string|null} followUpTo - Lead id for a follow-up, null for a lead
+ * @returns {Promise<boolean>} - False if the submission is already stored or
+ *   being stored
+ */
+async function reserveSubmissionId(context, id, followUpTo) {
+  const stored = await context.storage.get(id);
+  const existing = pendingIds.has(id) ? { followUpTo: pendingIds.get(id) } : stored;
+
+  // Leads and follow-ups share the client-chosen ids but are never duplicates of each other
+  if (existing && Boolean(existing.followUpTo) !== Boolean(followUpTo)) {
+    throw new ReceiverError('Submission id already in use', 409, { id });
+  }
+
+  if (existing) return false;
+
+  pendingIds.set(id, followUpTo);
+  return true;
+}
+
+async function sendEmail(context, template, locale, view, envelope) {
+  const email = await renderEmail(template, locale, view);
+
+  await context.mailer.send({
+    from: CONFIG.NOTIFY_FROM,
+    ...envelope,
+    subject: email.subject,
+    text: email.text,
+    html: email.html,
+  });
+}
+
+/**
+ * Send the internal lead notification and the visitor's confirmation
+ * (the lead is already stored, so mail failures are logged, not raised)
+ * @returns {Promise<boolean>} - True if the confirmation was sent
+ */
+async function sendNotifications(record, context) {
+  const view = createEmailView(
+    { ...record.fields, ...record.meta },
+    {
+      id: record.id,
+      receivedAt: record.receivedAt,
+      attachments: record.attachments,
+      labels: context.labels,
+      titles: context.titles,
+    }
+  );
+
+  try {
+    await sendEmail(context, 'internal', CONFIG.TEAM_LOCALE, view, {
+      to: CONFIG.NOTIFY_TO,
+      replyTo: view.email || undefined,
+    });
+  } catch (error) {
+    logger.error('Internal notification email failed', error, { id: record.id });
+  }
+
+  if (!CONFIG.AUTO_REPLY || !view.email) {
+    return false;
+  }
+
+  try {
+    await sendEmail(context, 'confirmation', record.meta._locale, view, {
+      to: view.name ? `"${view.name.replace(/["\\]/g, '')}" <${view.email}>` : view.email,
+      replyTo: CONFIG.NOTIFY_TO,
+    });
+    return true;
+  } catch (error) {
+    logger.error('Confirmation email failed', error, { id: record.id });
+    return false;
+  }
+}
+
+/**
+ * Check whether a meeting matches a slot of the configured feed
+ */
+async function isFeedSlot(start, end) {
+  const feed = JSON.parse(await fs.readFile(CONFIG.SLOTS_FEED, 'utf-8'));
+  const duration = (Number(feed.duration) || CONFIG.DEFAULT_MEETING_DURATION) * 60000;
+
+  return (Array.isArray(feed.slots) ? feed.slots : []).some((entry) => {
+    const slotStart = new Date(typeof entry === 'string' ? entry : entry?.start).getTime();
+    const slotEnd = entry?.end ? new Date(entry.end).getTime() : slotStart + duration;
+
+    return slotStart === start.getTime() && slotEnd === end.getTime();
+  });
+}
+
+/**
+ * Check the fields of a follow-up (currently only booked calls)
+ * @returns {Promise<Object[]>} - Errors as [{ field, message }]
+ */
+async function validateFollowUp(fields, context) {
+  const start = new Date(fields.meeting_start);
+  const end = new Date(fields.meeting_end);
+
+  if (Number.isNaN(start.getTime())) {
+    return [{ field: 'meeting_start', message: 'Please choose a time for the call' }];
+  }
+
+  if (Number.isNaN(end.getTime()) || end <= start) {
+    return [{ field: 'meeting_end', message: 'The call must end after it starts' }];
+  }
+
+  if (start.getTime() < Date.now()) {
+    return [{ field: 'meeting_start', message: 'That time has already passed' }];
+  }
+
+  const isAvailable = CONFIG.SLOTS_FEED
+    ? await isFeedSlot(start, end)
+    : end - start <= CONFIG.MAX_MEETING_DURATION * 60000 &&
+      isWithinOpeningHours(start, end, context.openingHours, CONFIG.BUSINESS_TIME_ZONE);
+
+  if (!isAvailable) {
+    return [{ field: 'meeting_start', message: 'That time is not available, please choose another' }];
+  }
+
+  return [];
+}
+
+/**
+ * Store a follow-up to an earlier submission and notify the team
+ * (one per lead; the notification shows the stored lead's details)
+ */
+async function handleFollowUp(req, res, context, submission) {
+  const meta = getMetadata(submission.fields);
+  const leadId = meta._followup_to;
+  const lead = isValidId(leadId) ? await context.storage.get(leadId) : null;
+
+  if (!lead || lead.followUpTo) {
+    throw new ReceiverError('Unknown submission to follow up', 404, { followUpTo: String(leadId) });
+  }
+
+  // Only the booking itself is taken from the request, never the contact details
+  const fields = Object.fromEntries(
+    Object.entries(getVisitorFields(submission.fields)).filter(([key]) => FOLLOW_UP_FIELDS.includes(key))
+  );
+  const errors = await validateFollowUp(fields, context);
+  if (errors.length > 0) {
+    logger.warn('Follow-up failed validation', { errors });
+    sendJson(res, 422, { error: 'Validation failed', errors });
+    return;
+  }
+
+  const id = getSubmissionId(meta);
+
+  if (!(await reserveSubmissionId(context, id, leadId))) {
+    logger.info('Duplicate follow-up ignored', { id });
+    sendJson(res, 200, { ok: true, id, followUpTo: leadId });
+    return;
+  }
+
+  let record;
+
+  try {
+    const isBooked = Array.from(pendingIds).some(([pendingId, followUpTo]) => {
+      return followUpTo === leadId && pendingId !== id;
+    });
+
+    if (isBooked || (await context.storage.findFollowUp(leadId))) {
+      throw new ReceiverError('A call is already booked for this enquiry', 409, { followUpTo: leadId });
+    }
+
+    record = await context.storage.save(
+      {
+        id,
+        followUpTo: leadId,
+        receivedAt: new Date().toISOString(),
+        fields,
+        meta,
+        userAgent: req.headers['user-agent'] || '',
+      },
+      []
+    );
+  } finally {
+    pendingIds.delete(id);
+  }
+
+  logger.info('Follow-up stored', { id, followUpTo: leadId });
+
+  try {
+    const view = createEmailView(
+      { ...lead.fields, ...record.fields, _followup_to: leadId },
+      { id: record.id, receivedAt: record.receivedAt }
+    );
+
+    await sendEmail(context, 'meeting', CONFIG.TEAM_LOCALE, view, {
+      to: CONFIG.NOTIFY_TO,
+      replyTo: view.email || undefined,
+    });
+  } catch (error) {
+    logger.error('Follow-up notification email failed', error, { id });
+  }
+
+  sendJson(res, 200, { ok: true, id, followUpTo: leadId });
+}
+
+async function handleSubmission(req, res, context) {
+  const body = await readBody(req);
+  const submission = await parseSubmission(req.headers['content-type'] || '', body);
+
+  // Bots that fill the honeypot get a normal response and nothing is kept
+  if (getVisitorFields(submission.fields).website) {
+    logger.warn('Honeypot triggered, discarding submission');
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  // Follow-ups refer to a lead that already passed the spam checks
+  if (submission.fields._followup_to) {
+    await handleFollowUp(req, res, context, submission);
+    return;
+  }
+
+  const token = submission.fields._pow;
+  if (token ? !verifyProofOfWork(token) : CONFIG.REQUIRE_POW) {
+    throw new ReceiverError('Spam protection check failed', 400, { proofOfWork: Boolean(token) });
+  }
+
+  const errors = await validateSubmission(context.form, submission);
+  if (errors.length > 0) {
+    logger.warn('Submission failed validation', { errors });
+    sendJson(res, 422, { error: 'Validation failed', errors });
+    return;
+  }
+
+  const meta = getMetadata(submission.fields);
+  const id = getSubmissionId(meta);
+
+  // Queued submissions can be retried after (or while) the first attempt got through
+  if (!(await reserveSubmissionId(context, id, null))) {
+    logger.info('Duplicate submission ignored', { id });
+    sendJson(res, 200, { ok: true, id });
+    return;
+  }
+
+  let record;
+
+  try {
+    record = await context.storage.save(
+      {
+        id,
+        receivedAt: new Date().toISOString(),
+        fields: getVisitorFields(submission.fields),
+        meta,
+        userAgent: req.headers['user-agent'] || '',
+      },
+      submission.files
+    );
+  } finally {
+    pendingIds.delete(id);
+  }
+
+  logger.info('Submission stored', {
+    id,
+    storage: context.storage.name,
+    attachments: record.attachments.length,
+  });
+
+  const confirmationSent = await sendNotifications(record, context);
+
+  sendJson(res, 200, { ok: true, id, confirmationSent });
+}
+
+function createRequestHandler(context) {
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://receiver.local');
+
+    applyCors(req, res);
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+      } else if (req.method === 'GET' && pathname === '/health') {
+        sendJson(res, 200, { ok: true, storage: context.storage.name });
+      } else if (req.method === 'POST' && pathname === CONFIG.SUBMIT_PATH) {
+        await handleSubmission(req, res, context);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      const status = error instanceof ReceiverError ? error.status : 500;
+
+      if (status >= 500) {
+        logger.error('Request failed', error, { method: req.method, path: pathname });
+      } else {
+        logger.warn('Request rejected', { status, error: error.message, ...error.context });
+      }
+
+      if (!res.headersSent) {
+        sendJson(res, status, { error: status >= 500 ? 'Internal server error' : error.message });
+      }
+    }
+  };
+}
+
+async function main() {
+  try {
+    const form = await loadFormDefinition(CONFIG.FORM_HTML);
+    const context = {
+      form,
+      labels: getFieldLabels(form),
+      titles: getFieldTitles(form),
+      openingHours: await loadOpeningHours(CONFIG.FORM_HTML),
+      storage: await createStorage(CONFIG.STORAGE, { dataDir: CONFIG.DATA_DIR }),
+      mailer: await createMailer(CONFIG.MAILER, { smtpUrl: CONFIG.SMTP_URL }),
+    };
+
+    const server = http.createServer(createRequestHandler(context));
+
+    server.listen(CONFIG.PORT, CONFIG.HOST, () => {
+      logger.info('Contact form receiver listening', {
+        url: `http://${CONFIG.HOST}:${CONFIG.PORT}${CONFIG.SUBMIT_PATH}`,
+        storage: context.storage.name,
+        mailer: CONFIG.MAILER,
+      });
+    });
+
+    const shutdown = () => {
+      logger.info('Shutting down contact form receiver');
+      server.close(async () => {
+        await context.storage.close();
+        process.exit(0);
+      });
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    logger.error('Contact form receiver failed to start', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,180 @@
+/**
+ * Submission storage backends
+ *
+ * - jsonl: one JSON record per line in submissions.jsonl (no dependencies)
+ * - sqlite: submissions table in submissions.db (requires better-sqlite3)
+ *
+ * Attachments are written to uploads/<submission id>/ by both backends and
+ * records keep their metadata and relative path only.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { logger, ReceiverError } from './logger.js';
+
+async function ensureDirectory(dirPath) {
+  await fs.mkdir(dirPath, { recursive: true });
+}
+
+function safeFileName(name, index) {
+  const cleaned = path.basename(name).replace(/[^\p{L}\p{N}._-]+/gu, '_').replace(/^\.+/, '');
+  return `${index + 1}-${cleaned || 'attachment'}`;
+}
+
+async function writeAttachments(dataDir, id, files) {
+  if (files.length === 0) return [];
+
+  const uploadDir = path.join(dataDir, 'uploads', id);
+  await ensureDirectory(uploadDir);
+
+  return Promise.all(
+    files.map(async (file, index) => {
+      const fileName = safeFileName(file.name, index);
+      await fs.writeFile(path.join(uploadDir, fileName), file.content);
+
+      return {
+        field: file.field,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        path: path.posix.join('uploads', id, fileName),
+      };
+    })
+  );
+}
+
+async function readJsonlRecords(filePath) {
+  let content;
+
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return content.split('\n').filter(Boolean).flatMap((line) => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      logger.warn('Skipping unreadable submission record', { file: filePath });
+      return [];
+    }
+  });
+}
+
+async function createJsonlStorage({ dataDir }) {
+  const filePath = path.join(dataDir, 'submissions.jsonl');
+  const ids = new Set();
+  // Lead id -> id of its follow-up
+  const followUps = new Map();
+
+  const index = (record) => {
+    ids.add(record.id);
+    if (record.followUpTo) followUps.set(record.followUpTo, record.id);
+  };
+
+  await ensureDirectory(dataDir);
+  (await readJsonlRecords(filePath)).forEach(index);
+
+  return {
+    name: 'jsonl',
+    async get(id) {
+      if (!ids.has(id)) return null;
+
+      const records = await readJsonlRecords(filePath);
+      return records.find((record) => record.id === id) || null;
+    },
+    findFollowUp: async (leadId) => followUps.get(leadId) || null,
+    async save(record, files) {
+      const attachments = await writeAttachments(dataDir, record.id, files);
+      const stored = { ...record, attachments };
+
+      await fs.appendFile(filePath, `${JSON.stringify(stored)}\n`, 'utf-8');
+      index(stored);
+
+      return stored;
+    },
+    close: async () => {},
+  };
+}
+
+async function createSqliteStorage({ dataDir }) {
+  let Database;
+
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new ReceiverError(
+      'SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)',
+      500,
+      { cause: error.message }
+    );
+  }
+
+  await ensureDirectory(dataDir);
+
+  const db = new Database(path.join(dataDir, 'submissions.db'));
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS submissions (
+      id TEXT PRIMARY KEY,
+      received_at TEXT NOT NULL,
+      email TEXT,
+      record TEXT NOT NULL
+    )
+  `);
+
+  const select = db.prepare('SELECT record FROM submissions WHERE id = ?');
+  const selectFollowUp = db.prepare(
+    "SELECT id FROM submissions WHERE json_extract(record, '$.followUpTo') = ? LIMIT 1"
+  );
+  const insert = db.prepare(
+    'INSERT INTO submissions (id, received_at, email, record) VALUES (?, ?, ?, ?)'
+  );
+
+  return {
+    name: 'sqlite',
+    async get(id) {
+      const row = select.get(id);
+      return row ? JSON.parse(row.record) : null;
+    },
+    findFollowUp: async (leadId) => selectFollowUp.get(leadId)?.id || null,
+    async save(record, files) {
+      const attachments = await writeAttachments(dataDir, record.id, files);
+      const stored = { ...record, attachments };
+
+      insert.run(stored.id, stored.receivedAt, stored.fields.email || null, JSON.stringify(stored));
+
+      return stored;
+    },
+    close: async () => db.close(),
+  };
+}
+
+const STORAGE_BACKENDS = Object.freeze({
+  jsonl: createJsonlStorage,
+  sqlite: createSqliteStorage,
+});
+
+/**
+ * Open a storage backend
+ * @param {string} type - "jsonl" or "sqlite"
+ * @param {Object} options - { dataDir }
+ * @returns {Promise<Object>} - { name, get(id), findFollowUp(leadId),
+ *   save(record, files), close() } where get resolves to the stored record and
+ *   findFollowUp to the id of the lead's follow-up (null if there is none)
+ */
+export async function createStorage(type, options) {
+  const factory = STORAGE_BACKENDS[type];
+
+  if (!factory) {
+    throw new ReceiverError(`Unknown storage backend: ${type}`, 500, {
+      available: Object.keys(STORAGE_BACKENDS),
+    });
+  }
+
+  const storage = await factory(options);
+  logger.info('Opened submission storage', { storage: storage.name, dataDir: options.dataDir });
+
+  return storage;
+}
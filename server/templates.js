@@ -0,0 +1,321 @@
+/**
+ * Email templates for contact form submissions
+ *
+ * - confirmation: auto-reply sent to the visitor
+ * - internal: lead notification sent to the sales team
+ * - meeting: team notification for a discovery call booked as a follow-up
+ *
+ * Each template has a subject, plain-text and HTML variant per locale in
+ * server/templates/<locale>/<name>.{subject.txt,txt,html}; HTML bodies are
+ * wrapped in server/templates/layout.html. Templates use a small Mustache
+ * subset: {{value}} (HTML-escaped in .html), {{{value}}} (raw),
+ * {{#section}}...{{/section}} (truthy value or list) and
+ * {{^section}}...{{/section}} (empty value).
+ *
+ * Nothing here depends on the receiver, so any backend that has the submitted
+ * fields can build the same emails with createEmailView() and renderEmail().
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG = Object.freeze({
+  TEMPLATE_DIR: path.join(__dirname, 'templates'),
+  DEFAULT_LOCALE: 'en',
+  SITE_NAME: 'Lagos Software Consulting',
+  SITE_URL: 'https://lagossoftwareconsulting.com',
+  BUSINESS_TIME_ZONE: 'Africa/Lagos',
+});
+
+const HTML_ESCAPES = Object.freeze({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+});
+
+// Template sources by path (read once)
+const templateCache = new Map();
+
+function escapeHtml(value) {
+  return value.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+function lookup(view, name) {
+  if (name === '.') return view['.'];
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), view);
+}
+
+// {{{raw}}}, then {{#section}}, {{^inverted}}, {{/close}} and {{value}}
+const TAG_PATTERN = /{{{\s*([\w.]+)\s*}}}|{{\s*([#^/]?)\s*([\w.]+)\s*}}/g;
+
+/**
+ * Parse a template into text, variable and section nodes
+ * @returns {Array} - Strings, { name, raw } and { type, name, children }
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let index = 0;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const [tag, rawName, type, name] = match;
+    const current = stack[stack.length - 1];
+
+    if (match.index > index) current.children.push(template.slice(index, match.index));
+    index = match.index + tag.length;
+
+    if (rawName) {
+      current.children.push({ name: rawName, raw: true });
+    } else if (type === '#' || type === '^') {
+      const section = { type, name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (current.name !== name) throw new Error(`Unexpected {{/${name}}} in template`);
+      stack.pop();
+    } else {
+      current.children.push({ name, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{${stack[stack.length - 1].type}${stack[stack.length - 1].name}}} in template`);
+  }
+
+  if (index < template.length) root.children.push(template.slice(index));
+
+  return root.children;
+}
+
+function renderNodes(nodes, view, escape) {
+  return nodes
+    .map((node) => {
+      if (typeof node === 'string') return node;
+
+      const value = lookup(view, node.name);
+
+      if (!node.type) {
+        const text = value == null ? '' : String(value);
+        return node.raw ? text : escape(text);
+      }
+
+      const isTruthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+      if (node.type === '^') {
+        return isTruthy ? '' : renderNodes(node.children, view, escape);
+      }
+
+      if (!isTruthy) return '';
+
+      if (Array.isArray(value)) {
+        return value
+          .map((item) => {
+            const scope = item && typeof item === 'object' ? { ...view, ...item } : { ...view, '.': item };
+            return renderNodes(node.children, scope, escape);
+          })
+          .join('');
+      }
+
+      const scope = typeof value === 'object' ? { ...view, ...value } : view;
+      return renderNodes(node.children, scope, escape);
+    })
+    .join('');
+}
+
+/**
+ * Render a template string against a view. The template is parsed before
+ * anything is substituted, so values containing {{...}} are output as text.
+ * @param {string} template - Template source
+ * @param {Object} view - Values referenced by the template
+ * @param {Function} escape - Escaping applied to {{value}} output
+ * @returns {string} - Rendered output
+ */
+export function renderTemplate(template, view, escape = (value) => value) {
+  return renderNodes(parseTemplate(template), view, escape);
+}
+
+async function readTemplate(relativePath) {
+  if (!templateCache.has(relativePath)) {
+    const source = fs.readFile(path.join(CONFIG.TEMPLATE_DIR, relativePath), 'utf-8');
+    templateCache.set(relativePath, source);
+    source.catch(() => templateCache.delete(relativePath));
+  }
+
+  return templateCache.get(relativePath);
+}
+
+async function hasTemplate(locale, name) {
+  try {
+    await readTemplate(path.join(locale, `${name}.txt`));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Pick the best available locale ("fr-CI" falls back to "fr", then "en")
+ * @param {string} name - Template name
+ * @param {string} requested - Requested locale, e.g. the form's _locale
+ * @returns {Promise<string>} - Locale with a template of that name
+ */
+export async function resolveLocale(name, requested) {
+  const candidates = [];
+  const normalised = String(requested || '').trim().toLowerCase().replace(/_/g, '-');
+
+  if (/^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/.test(normalised)) {
+    candidates.push(normalised, normalised.split('-')[0]);
+  }
+
+  candidates.push(CONFIG.DEFAULT_LOCALE);
+
+  for (const locale of candidates) {
+    if (await hasTemplate(locale, name)) return locale;
+  }
+
+  throw new Error(`No "${name}" email template for ${CONFIG.DEFAULT_LOCALE}`);
+}
+
+/**
+ * Render an email template
+ * @param {string} name - "confirmation" or "internal"
+ * @param {string} locale - Preferred locale
+ * @param {Object} view - Values from createEmailView()
+ * @returns {Promise<Object>} - { locale, subject, text, html }
+ */
+export async function renderEmail(name, locale, view) {
+  const resolved = await resolveLocale(name, locale);
+  const [subject, text, html, layout] = await Promise.all([
+    readTemplate(path.join(resolved, `${name}.subject.txt`)),
+    readTemplate(path.join(resolved, `${name}.txt`)),
+    readTemplate(path.join(resolved, `${name}.html`)),
+    readTemplate('layout.html'),
+  ]);
+
+  const scope = { ...view, locale: resolved };
+  const body = renderTemplate(html, scope, escapeHtml);
+
+  if (locale && resolved !== String(locale).toLowerCase()) {
+    logger.info('Email template locale fallback', { template: name, requested: locale, used: resolved });
+  }
+
+  return {
+    locale: resolved,
+    subject: renderTemplate(subject, scope).replace(/\s+/g, ' ').trim(),
+    text: renderTemplate(text, scope),
+    html: renderTemplate(layout, { ...scope, subject: renderTemplate(subject, scope).trim(), body }, escapeHtml),
+  };
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1048576) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+function formatDateTime(date, timeZone) {
+  const parts = {};
+
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Describe a booked meeting in Lagos time and the visitor's timezone
+ * @returns {Object|null} - { start, end, visitorStart, visitorTimeZone }
+ */
+function createMeetingView(startValue, endValue, visitorTimeZone) {
+  const start = new Date(startValue);
+  const end = new Date(endValue);
+
+  if (!startValue || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return null;
+  }
+
+  let visitorStart = '';
+  try {
+    visitorStart = visitorTimeZone ? formatDateTime(start, visitorTimeZone) : '';
+  } catch {
+    // Unknown timezone name from the browser; Lagos time is enough
+  }
+
+  return {
+    start: formatDateTime(start, CONFIG.BUSINESS_TIME_ZONE),
+    end: formatDateTime(end, CONFIG.BUSINESS_TIME_ZONE).slice(11),
+    visitorStart,
+    visitorTimeZone: visitorStart ? visitorTimeZone : '',
+  };
+}
+
+function firstValue(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === 'string' ? first.trim() : '';
+}
+
+/**
+ * Build the values email templates can reference from a submission
+ * @param {Object} fields - Submitted fields, including _timestamp/_source metadata
+ * @param {Object} options - { id, receivedAt, attachments, labels, titles } where
+ *   labels maps field name to { value: label } for select fields and titles
+ *   maps field name to its label; service-specific ("group.field") answers
+ *   are listed as details and utm_* parameters as campaign; follow-ups
+ *   carry followUpTo and, for booked calls, meeting
+ * @returns {Object} - Template view
+ */
+export function createEmailView(fields, options = {}) {
+  const labels = options.labels || {};
+  const value = (name) => firstValue(fields[name]);
+  const label = (name) => labels[name]?.[value(name)] || value(name);
+  const name = value('name');
+
+  return {
+    id: options.id || value('_submission_id'),
+    name,
+    firstName: name.split(/\s+/)[0] || name,
+    email: value('email'),
+    company: value('company'),
+    phone: value('phone'),
+    phoneCarrier: value('phone_carrier'),
+    service: label('service'),
+    serviceValue: value('service'),
+    budget: label('budget'),
+    timeline: label('timeline'),
+    message: value('message'),
+    details: Object.keys(fields)
+      .filter((key) => key.includes('.') && value(key))
+      .map((key) => ({ label: options.titles?.[key] || key, value: label(key) })),
+    attachments: (options.attachments || []).map((file) => ({
+      name: file.name,
+      size: formatFileSize(file.size),
+      path: file.path || '',
+    })),
+    campaign: Object.keys(fields)
+      .filter((key) => key.startsWith('utm_') && value(key))
+      .map((key) => ({ label: key, value: value(key) })),
+    timestamp: value('_timestamp'),
+    source: value('_source'),
+    visitorLocale: value('_locale'),
+    followUpTo: value('_followup_to'),
+    meeting: createMeetingView(value('meeting_start'), value('meeting_end'), value('meeting_timezone')),
+    receivedAt: options.receivedAt || new Date().toISOString(),
+    siteName: CONFIG.SITE_NAME,
+    siteUrl: CONFIG.SITE_URL,
+  };
+}
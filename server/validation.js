@@ -0,0 +1,432 @@
+/**
+ * Server-side validation for contact form submissions
+ *
+ * Field constraints are read from the #contact-form markup in index.html and
+ * combined with the shared rules in js/validation-rules.js, so the server
+ * re-runs exactly what the browser checked. Fields named "<group>.<field>"
+ * belong to the data-service-group of that name and are only validated when
+ * the submitted service is one of the group's data-services.
+ *
+ * Booked discovery calls are checked against the openingHours of the page's
+ * LocalBusiness structured data.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import '../js/validation-rules.js';
+import { logger } from './logger.js';
+
+const ValidationRules = globalThis.ContactValidationRules;
+
+// Fields that are not part of the visitor's input
+const IGNORED_FIELDS = Object.freeze(new Set(['website']));
+
+const WEEKDAYS = Object.freeze(['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']);
+
+const HTML_ENTITIES = Object.freeze({
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+});
+
+// Registered validators, keyed by rule name
+const validators = new Map();
+
+/**
+ * Register a validation rule (same signature as ContactForm.registerValidator)
+ */
+export function registerValidator(name, validate, options = {}) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('Validator name must be a non-empty string');
+  }
+
+  if (typeof validate !== 'function') {
+    throw new TypeError(`Validator "${name}" must be a function`);
+  }
+
+  validators.set(name, {
+    validate,
+    message: options.message || 'Please enter a valid value',
+    validateEmpty: Boolean(options.validateEmpty),
+  });
+}
+
+function formatFileSize(bytes) {
+  return `${Math.round(bytes / 1048576)} MB`;
+}
+
+ValidationRules.BUILT_IN_VALIDATORS.forEach(([name, validate, options]) => {
+  registerValidator(name, validate, options);
+});
+
+// Files arrive already compressed, so every file counts towards the total
+registerValidator('attachments', (value, param, context) => {
+  const { ATTACHMENT_MAX_FILES, ATTACHMENT_MAX_TOTAL_SIZE, ATTACHMENT_EXTENSIONS } = ValidationRules.CONFIG;
+  const files = context.files;
+
+  if (files.length > ATTACHMENT_MAX_FILES) {
+    return `Please attach no more than ${ATTACHMENT_MAX_FILES} files`;
+  }
+
+  const unsupported = files.find(
+    (file) => !ATTACHMENT_EXTENSIONS.includes(path.extname(file.name).toLowerCase())
+  );
+  if (unsupported) {
+    return `"${unsupported.name}" is not a supported file type (PDF, Word, PowerPoint, Excel, text or image)`;
+  }
+
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  if (totalSize > ATTACHMENT_MAX_TOTAL_SIZE) {
+    return `Attachments must be ${formatFileSize(ATTACHMENT_MAX_TOTAL_SIZE)} or less in total`;
+  }
+
+  return true;
+}, { validateEmpty: true });
+
+function stripTags(value) {
+  return value.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function decodeEntities(value) {
+  return value.replace(/&(?:amp|lt|gt|quot|#39);/g, (entity) => HTML_ENTITIES[entity]);
+}
+
+function parseAttributes(source) {
+  const attributes = [];
+  const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+  for (const match of source.matchAll(pattern)) {
+    attributes.push({
+      name: match[1].toLowerCase(),
+      value: decodeEntities(match[2] ?? match[3] ?? match[4] ?? ''),
+    });
+  }
+
+  return attributes;
+}
+
+/**
+ * Read the field definitions of a form from an HTML file
+ * @returns {Promise<Object[]>} - [{ name, tag, type, label, attributes, options, services }]
+ *   where options lists a select's { value, label } pairs and services the
+ *   service values a grouped field applies to
+ */
+export async function loadFormDefinition(htmlPath, formId = 'contact-form') {
+  const html = await fs.readFile(htmlPath, 'utf-8');
+  const formPattern = new RegExp(
+    `<form\\b([^>]*\\bid=["']${formId}["'][^>]*)>([\\s\\S]*?)</form>`,
+    'i'
+  );
+  const formMatch = html.match(formPattern);
+
+  if (!formMatch) {
+    throw new Error(`Form #${formId} not found in ${htmlPath}`);
+  }
+
+  const isWizard = parseAttributes(formMatch[1]).some((attr) => attr.name === 'data-wizard');
+
+  const groups = new Map();
+  for (const match of formMatch[2].matchAll(/<[a-z]+\b([^>]*\bdata-service-group\b[^>]*)>/gi)) {
+    const attributes = parseAttributes(match[1]);
+    const group = attributes.find((attr) => attr.name === 'data-service-group')?.value;
+    const services = attributes.find((attr) => attr.name === 'data-services')?.value || '';
+    groups.set(group, services.split(/\s+/).filter(Boolean));
+  }
+
+  const labels = new Map();
+  for (const match of formMatch[2].matchAll(/<label\b([^>]*)>([\s\S]*?)<\/label>/gi)) {
+    const target = parseAttributes(match[1]).find((attr) => attr.name === 'for')?.value;
+    if (target) {
+      labels.set(target, decodeEntities(stripTags(match[2]).replace(/\s*\*$/, '')));
+    }
+  }
+
+  const fields = [];
+  const controlPattern = /<(select)\b([^>]*)>([\s\S]*?)<\/select>|<(input|textarea)\b([^>]*)>/gi;
+
+  for (const match of formMatch[2].matchAll(controlPattern)) {
+    const tag = (match[1] || match[4]).toLowerCase();
+    const attributes = parseAttributes(match[2] ?? match[5]);
+
+    // As in the browser, wizard-only requirements apply in wizard mode
+    if (isWizard && attributes.some((attr) => attr.name === 'data-wizard-required')) {
+      attributes.push({ name: 'required', value: '' });
+    }
+
+    const getAttribute = (name) => attributes.find((attr) => attr.name === name)?.value;
+    const name = getAttribute('name');
+
+    if (!name || IGNORED_FIELDS.has(name)) continue;
+
+    const type = tag === 'input' ? (getAttribute('type') || 'text').toLowerCase() : tag;
+    if (['submit', 'button', 'reset', 'hidden'].includes(type)) continue;
+
+    const options = tag === 'select'
+      ? Array.from(match[3].matchAll(/<option\b([^>]*)>([^<]*)/gi), (option) => {
+          const label = decodeEntities(option[2].trim());
+          const value = parseAttributes(option[1]).find((attr) => attr.name === 'value')?.value;
+          return { value: value ?? label, label };
+        })
+      : null;
+
+    const group = name.includes('.') ? name.split('.')[0] : null;
+
+    fields.push({
+      name,
+      tag,
+      type,
+      label: labels.get(getAttribute('id')) || name,
+      attributes,
+      options,
+      services: groups.get(group) || null,
+      getAttribute,
+    });
+  }
+
+  logger.info('Loaded form definition', {
+    form: formId,
+    fields: fields.map((field) => field.name),
+  });
+
+  return fields;
+}
+
+/**
+ * Read the business opening hours from the LocalBusiness JSON-LD of a page
+ * @returns {Promise<Object[]>} - [{ days, opens, closes }] where days holds
+ *   two-letter weekday names ("Mo") and times are "HH:MM"
+ */
+export async function loadOpeningHours(htmlPath) {
+  const html = await fs.readFile(htmlPath, 'utf-8');
+  const hours = [];
+
+  for (const match of html.matchAll(/<script\b[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch {
+      continue;
+    }
+
+    [].concat(data.openingHours || []).forEach((entry) => {
+      const parsed = String(entry).match(/^\s*([A-Za-z,-]+)\s+(\d{2}:\d{2})-(\d{2}:\d{2})\s*$/);
+      if (!parsed) return;
+
+      const days = parsed[1].split(',').flatMap((range) => {
+        const [from, to = from] = range.split('-').map((day) => WEEKDAYS.indexOf(day));
+        return from === -1 || to < from ? [] : WEEKDAYS.slice(from, to + 1);
+      });
+
+      hours.push({ days, opens: parsed[2], closes: parsed[3] });
+    });
+  }
+
+  if (hours.length === 0) {
+    throw new Error(`No openingHours found in ${htmlPath}`);
+  }
+
+  logger.info('Loaded opening hours', { openingHours: hours });
+
+  return hours;
+}
+
+function getZonedTime(date, timeZone) {
+  const parts = {};
+
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    day: parts.weekday.slice(0, 2),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Check that a meeting lies within one opening period (same rule as
+ * js/meeting-scheduler.js)
+ * @param {Date} start - Meeting start
+ * @param {Date} end - Meeting end
+ * @param {Object[]} openingHours - From loadOpeningHours()
+ * @param {string} timeZone - Timezone the opening hours are in
+ */
+export function isWithinOpeningHours(start, end, openingHours, timeZone) {
+  const from = getZonedTime(start, timeZone);
+  const to = getZonedTime(end, timeZone);
+
+  if (from.date !== to.date && to.time !== '00:00') return false;
+
+  return openingHours.some((hours) =>
+    hours.days.includes(from.day) &&
+    from.time >= hours.opens &&
+    (to.date === from.date ? to.time : '24:00') <= hours.closes
+  );
+}
+
+/**
+ * Map select values to their visible labels
+ * @returns {Object} - { fieldName: { value: label } }
+ */
+export function getFieldLabels(definition) {
+  return Object.fromEntries(
+    definition
+      .filter((field) => field.options)
+      .map((field) => [
+        field.name,
+        Object.fromEntries(field.options.filter((option) => option.value).map((option) => [option.value, option.label])),
+      ])
+  );
+}
+
+/**
+ * Map field names to their visible labels
+ * @returns {Object} - { fieldName: label }
+ */
+export function getFieldTitles(definition) {
+  return Object.fromEntries(definition.map((field) => [field.name, field.label]));
+}
+
+function getFieldValue(fields, name) {
+  const value = fields[name];
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === 'string' ? first.trim() : '';
+}
+
+function isValidUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Native HTML constraint checks, run after the custom rules as in the browser
+ * (messages match the form's setCustomValidationMessage)
+ */
+function checkConstraints(field, value) {
+  if (field.getAttribute('required') !== undefined && !value) {
+    return 'This field is required';
+  }
+
+  if (!value) return null;
+
+  if (field.type === 'email' && !ValidationRules.isValidEmail(value)) {
+    return 'Please enter a valid email address';
+  }
+
+  if (field.type === 'url' && !isValidUrl(value)) {
+    return 'Please enter a valid value';
+  }
+
+  if (field.type === 'number') {
+    const number = Number(value);
+    const min = field.getAttribute('min');
+    const max = field.getAttribute('max');
+
+    if (!Number.isFinite(number)) return 'Please enter a valid value';
+    if (min !== undefined && number < Number(min)) return `Please enter a value of at least ${min}`;
+    if (max !== undefined && number > Number(max)) return `Please enter a value of no more than ${max}`;
+  }
+
+  if (field.options && !field.options.some((option) => option.value === value)) {
+    return 'Please select one of the listed options';
+  }
+
+  const pattern = field.getAttribute('pattern');
+  if (pattern !== undefined && !new RegExp(`^(?:${pattern})$`, 'u').test(value)) {
+    return field.getAttribute('title') || 'Please match the requested format';
+  }
+
+  const minLength = Number(field.getAttribute('minlength'));
+  if (minLength && value.length < minLength) {
+    return `Please enter at least ${minLength} characters`;
+  }
+
+  const maxLength = Number(field.getAttribute('maxlength'));
+  if (maxLength && value.length > maxLength) {
+    return `Please enter no more than ${maxLength} characters`;
+  }
+
+  return null;
+}
+
+async function evaluateRules(field, value, context) {
+  const rules = ValidationRules.collectFieldRules(
+    ValidationRules.DEFAULT_SCHEMA[field.name],
+    field.attributes
+  );
+
+  for (const rule of rules) {
+    const validator = validators.get(rule.rule);
+
+    if (!validator) {
+      logger.warn('Unknown validation rule', { field: field.name, rule: rule.rule });
+      continue;
+    }
+
+    if (!value && !validator.validateEmpty) continue;
+
+    let outcome;
+    try {
+      outcome = await validator.validate(value, rule.param, context);
+    } catch (error) {
+      logger.error(`Validator "${rule.rule}" failed`, error, { field: field.name });
+      continue;
+    }
+
+    const message = ValidationRules.getRuleMessage(outcome, rule, validator);
+
+    if (message) {
+      return message;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a parsed submission against the form definition
+ * @param {Object[]} definition - Fields from loadFormDefinition()
+ * @param {Object} submission - { fields, files }
+ * @returns {Promise<Object[]>} - Errors as [{ field, message }]
+ */
+export async function validateSubmission(definition, submission) {
+  const errors = [];
+
+  const service = getFieldValue(submission.fields, 'service');
+
+  for (const field of definition) {
+    // Fields of other services were hidden and disabled in the browser
+    if (field.services && !field.services.includes(service)) continue;
+
+    const value = field.type === 'file' ? '' : getFieldValue(submission.fields, field.name);
+    const context = {
+      field: field.name,
+      files: submission.files.filter((file) => file.field === field.name),
+      getValue: (name) => getFieldValue(submission.fields, name),
+    };
+
+    const message = (await evaluateRules(field, value, context))
+      || (field.type === 'file' ? null : checkConstraints(field, value));
+
+    if (message) {
+      errors.push({ field: field.name, message });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadOpeningHours, isWithinOpeningHours } from '../server/validation.js';
+
+const INDEX_HTML = fileURLToPath(new URL('../index.html', import.meta.url));
+const TIME_ZONE = 'Africa/Lagos';
+
+test('reads opening hours from the page structured data', async () => {
+  assert.deepEqual(await loadOpeningHours(INDEX_HTML), [
+    { days: ['Mo', 'Tu', 'We', 'Th', 'Fr'], opens: '09:00', closes: '18:00' },
+  ]);
+});
+
+test('accepts meetings inside one opening period only', async () => {
+  const hours = await loadOpeningHours(INDEX_HTML);
+  const check = (start, end) => isWithinOpeningHours(new Date(start), new Date(end), hours, TIME_ZONE);
+
+  assert.equal(check('2026-11-05T09:00:00+01:00', '2026-11-05T09:30:00+01:00'), true);
+  assert.equal(check('2026-11-05T16:30:00Z', '2026-11-05T17:00:00Z'), true);
+  assert.equal(check('2026-11-05T08:30:00+01:00', '2026-11-05T09:00:00+01:00'), false);
+  assert.equal(check('2026-11-05T17:45:00+01:00', '2026-11-05T18:15:00+01:00'), false);
+  assert.equal(check('2026-11-07T10:00:00+01:00', '2026-11-07T10:30:00+01:00'), false);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEmailView, renderEmail, renderTemplate } from '../server/templates.js';
+
+const escape = (value) => value.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+test('renders values, sections and inverted sections', () => {
+  const template = '{{#items}}<li>{{name}}</li>{{/items}}{{^empty}}none{{/empty}}{{{html}}}';
+  const view = { items: [{ name: 'a<b' }, { name: 'c' }], empty: [], html: '<br>' };
+
+  assert.equal(renderTemplate(template, view, escape), '<li>a&lt;b</li><li>c</li>none<br>');
+});
+
+test('outputs substituted values containing tags as text', () => {
+  const view = {
+    company: '{{{message}}}',
+    details: [{ value: '{{{message}}} {{#message}}x{{/message}}' }],
+    message: '<img src=x onerror=alert(1)>',
+  };
+
+  assert.equal(renderTemplate('{{#company}}{{company}}{{/company}}', view, escape), '{{{message}}}');
+  assert.equal(
+    renderTemplate('{{#details}}{{value}}{{/details}}', view, escape),
+    '{{{message}}} {{#message}}x{{/message}}'
+  );
+  assert.equal(renderTemplate('{{{company}}}', view, escape), '{{{message}}}');
+});
+
+test('rejects unbalanced sections', () => {
+  assert.throws(() => renderTemplate('{{#a}}text', {}), /Unclosed/);
+  assert.throws(() => renderTemplate('{{#a}}text{{/b}}', {}), /Unexpected/);
+});
+
+test('never emits visitor HTML in emails', async () => {
+  const payload = '<img src=x onerror=alert(1)>';
+  const view = createEmailView({
+    name: 'Ada {{{message}}}',
+    email: 'ada@example.com',
+    company: '{{{message}}}',
+    phone: '{{{message}}}',
+    service: 'cloud',
+    message: payload,
+    'cloud.provider': '{{{message}}}',
+    utm_source: '{{{message}}}',
+  });
+
+  for (const name of ['confirmation', 'internal']) {
+    for (const locale of ['en', 'fr']) {
+      const email = await renderEmail(name, locale, view);
+      assert.ok(!email.html.includes(payload), `${locale}/${name} html`);
+      assert.ok(!email.html.includes('onerror=alert(1)>'), `${locale}/${name} html`);
+    }
+  }
+});
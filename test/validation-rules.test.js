@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../js/validation-rules.js';
+
+const { parsePhoneNumber } = globalThis.ContactValidationRules;
+
+test('normalises Nigerian mobile numbers to E.164', () => {
+  for (const value of ['0803 123 4567', '+234 803 123 4567', '234 803 123 4567', '00234 803 123 4567', '+234 0803 123 4567']) {
+    const phone = parsePhoneNumber(value);
+    assert.equal(phone?.e164, '+2348031234567', value);
+    assert.equal(phone.type, 'mobile');
+    assert.equal(phone.carrier, 'MTN');
+  }
+});
+
+test('requires the trunk 0 or country code on mobile numbers', () => {
+  assert.equal(parsePhoneNumber('803 123 4567'), null);
+  assert.equal(parsePhoneNumber('8031234567'), null);
+});
+
+test('normalises Nigerian fixed-line numbers', () => {
+  assert.deepEqual(parsePhoneNumber('01 234 5678'), {
+    e164: '+23412345678',
+    country: 'NG',
+    type: 'fixed',
+    prefix: null,
+    carrier: null,
+  });
+  assert.equal(parsePhoneNumber('+234 1 234 5678')?.e164, '+23412345678');
+});
+
+test('rejects truncated mobile numbers instead of reading them as fixed lines', () => {
+  for (const value of ['0803 123 45', '0703 123 45', '0905 123 45', '+234 810 123 45', '234 909 123 45']) {
+    assert.equal(parsePhoneNumber(value), null, value);
+  }
+});
+
+test('accepts other countries in international format only', () => {
+  assert.equal(parsePhoneNumber('+44 20 7946 0958')?.type, 'international');
+  assert.equal(parsePhoneNumber('0044 20 7946 0958')?.e164, '+442079460958');
+  assert.equal(parsePhoneNumber('020 7946 0958'), null);
+});